@@ -11,10 +11,74 @@ const en = {
     "shortcutsInfoText": "Choose which shortcuts get shown",
     "editShortcutsList": "Saved Shortcuts",
     "editShortcutsListInfo": "You can add new shortcuts by clicking the \"+\" icon or edit existing ones by clicking on the shortcut name or URL.",
+    "shortcutFolderName": "Folder",
+    "removeFromFolder": "Remove from folder",
+    "deleteFolder": "Delete folder",
+    "shortcutPageMain": "Home",
+    "shortcutPageName": "Page {number}",  // Do not translate {number}
+    "shortcutPageHint": "Drop a shortcut here to move it to this page",
+    "addShortcutPage": "Add page",
+    "defaultShortcutPage": "Open new tabs on this page",
+    "deleteShortcutPage": "Delete page",
+    "changeShortcutIcon": "Change icon",
+    "shortcutIconText": "Shortcut Icon",
+    "shortcutIconIntro": "Choose how this shortcut looks on the home screen",
+    "shortcutIconSite": "Website icon",
+    "shortcutIconUpload": "Uploaded image",
+    "shortcutIconURL": "Image URL",
+    "shortcutIconEmoji": "Emoji",
+    "shortcutIconMonogram": "Letters",
+    "importShortcutsText": "Import Shortcuts",
+    "importShortcutsIntro": "Pick the websites to add as shortcuts. The ones you already have are left out.",
+    "importShortcutsFrom": "Import from…",
+    "importTopSites": "Most visited sites",
+    "importBookmarksFolder": "Bookmarks folder",
+    "importShortcutsCount": "{count} new, room for {room} more shortcuts",  // Do not translate {count} and {room}
+    "importNothingNew": "There is nothing new to import from here",
+    "importText": "Import",
+    "shortcutOptionsText": "Shortcut Options",
+    "shortcutOptionsIntro": "Middle-click or Ctrl-click a shortcut to open it in the background instead",
+    "openInCurrentTab": "Open in this tab",
+    "openInNewTab": "Open in a new tab",
+    "openInBackgroundTab": "Open in a background tab",
+    "openInPrivateWindow": "Open in a private window",
+    "shortcutLaunchUrls": "More URLs to open with it, one per line",
+    "shortcutUsage": "Visits: {count}, last on {date}",  // Do not translate {count} and {date}
+    "shortcutNeverUsed": "Not opened from here yet",
+    "bookmarkShortcut": "Add to bookmarks",
+    "shortcutSortLabel": "Order on the home screen",
+    "sortShortcutsManual": "Your order",
+    "sortShortcutsMostUsed": "Most used",
+    "sortShortcutsRecent": "Recently used",
+    "sortShortcutsAlphabetical": "Alphabetical",
+    "shortcutFinderInput": "Find a shortcut, AI tool or Google app",
+    "finderShortcut": "Shortcut",
+    "finderAITool": "AI tool",
+    "finderGoogleApp": "Google app",
+    "finderNoResults": "Nothing matches",
     "adaptiveIconText": "Adaptive Icons",
     "adaptiveIconInfoText": "Shortcut icons will adapt to theme",
+    "iconPacksText": "Icon Packs",
+    "iconPacksInfoText": "Theme-tinted icons for more websites",
+    "iconPacksIntro": "Shortcuts for the websites in these packs get icons in the theme colours. Imported packs come first.",
+    "builtInIconPack": "Built-in",
+    "iconPackCount": "Icons: {count}",    // Do not translate {count}
+    "importIconPack": "Import pack",
     "bookmarksText": "Bookmarks",
     "bookmarksInfo": "Show bookmarks sidebar",
+    "smartFoldersText": "Smart Folders",
+    "smartFoldersInfo": "Folders in the bookmarks sidebar that fill themselves",
+    "smartFoldersIntro": "Shown at the end of the bookmarks sidebar in this order. Tick the ones to show, or add a folder for a search or a website below.",
+    "smartFolderRecent": "Recently Added",
+    "smartFolderMostVisited": "Most Visited",
+    "smartFolderRecentInfo": "Newest bookmarks: {count}",  // Do not translate {count}
+    "smartFolderMostVisitedInfo": "Bookmarks you open most: {count}, counted from your browsing history",  // Do not translate {count}
+    "smartFolderQueryInfo": "Bookmarks matching \"{match}\": {count}",  // Do not translate {match} and {count}
+    "smartFolderDomainInfo": "Bookmarks on {match}: {count}",  // Do not translate {match} and {count}
+    "smartFolderTypeQuery": "Bookmarks matching a search",
+    "smartFolderTypeDomain": "Bookmarks on a website",
+    "smartFolderMatch": "Search words, or a website like github.com",
+    "smartFolderCount": "Number of bookmarks",
     "ai_tools_button": "AI Tools",
     "enable_ai_tools": "Show shortcuts for AI tools",
     "aiToolsSettingsText": "AI Tools Settings",
@@ -80,6 +144,31 @@ const en = {
     "testAPIConnection": "Test Connection",
     "search_suggestions_button": "Search Suggestions",
     "search_suggestions_text": "Enable search suggestions",
+    "customEnginesText": "Custom Search Engines",
+    "customEnginesInfo": "Add your own search engines",
+    "customEnginesIntro": "Use %s in the URL where the search term should go",    // Do not translate %s
+    "customEngineName": "Name",
+    "customEngineIcon": "Icon URL (optional)",
+    "customEngineSuggestURL": "Suggestions URL (optional)",
+    "engineGroupsText": "Engine Groups",
+    "engineGroupsInfo": "Search on several engines at once, each in its own tab",
+    "engineGroupsIntro": "Pick a group with Alt + its hotkey while typing, then press Enter to search on all of its engines",
+    "engineGroupHotkey": "Hotkey letter (optional)",
+    "searchBangsText": "Search Bangs",
+    "searchBangsInfo": "Type !w or yt before a query to search elsewhere",
+    "searchBangsIntro": "Start or end a search with !bang to use another engine for that search only",
+    "searchBangKey": "Bang, e.g. w",
+    "searchBangURLOption": "URL with %s",    // Do not translate %s
+    "searchBangKeywordText": "Also works without ! before a search",
+    "searchHistoryText": "Search History",
+    "searchHistoryInfo": "Suggest your past searches, stored only on this device",
+    "clearSearchHistoryText": "Clear Search History",
+    "clearSearchHistoryInfo": "Delete all saved searches",
+    "currencyConversionText": "Currency Conversion",
+    "currencyConversionInfo": "Convert currencies in the search bar calculator with exchange rates downloaded from the internet",
+    "currencyRatesText": "Currency Rates",
+    "currencyRatesInfo": "Source of the exchange rates used by the search bar calculator",
+    "copyResult": "Copy",
 
     // Proxy
     "useproxytitletext": "Proxy Bypass",
@@ -117,9 +206,54 @@ const en = {
     "bookmarkViewGrid": "Grid",    // Keep this shorter
     "bookmarkViewList": "List",    // Keep this shorter
     "bookmarkSearch": "Search bookmark",
+    "bookmarkNoResults": "No bookmarks match",
     "editBookmarkHeading": "Edit Bookmark",
     "editBookmarkName": "Bookmark Name",
     "editBookmarkURL": "Bookmark URL",
+    "editBookmarkFolder": "Folder",
+    "newBookmark": "New bookmark",
+    "newBookmarkFolder": "New folder",
+    "newBookmarkHeading": "New Bookmark",
+    "newFolderHeading": "New Folder",
+    "editFolderHeading": "Edit Folder",
+    "bookmarkUndo": "Undo",
+    "bookmarkDeleted": "Deleted \"{title}\"",  // Do not translate {title}
+    "bookmarkFolderDeleted": "Deleted the folder \"{title}\"",  // Do not translate {title}
+    "bookmarkMoved": "Moved \"{title}\"",  // Do not translate {title}
+    "bookmarkEdited": "Saved \"{title}\"",  // Do not translate {title}
+    "bookmarkAdded": "Added \"{title}\" to bookmarks",  // Do not translate {title}
+    "bookmarksRemoved": "Removed {count} items",  // Do not translate {count}
+    "bookmarkHealthHeading": "Check Bookmarks",
+    "bookmarkHealthIntro": "Finds bookmarks saved more than once and folders with nothing in them. Copies of the same address are picked for deletion, similar addresses are left for you to check.",
+    "bookmarkHealthLinksLabel": "Also look for links that don't work, by visiting every bookmarked website",
+    "bookmarkHealthScan": "Scan",
+    "bookmarkHealthStop": "Stop",
+    "bookmarkHealthMerge": "Merge duplicates",
+    "bookmarkHealthDelete": "Delete selected",
+    "bookmarkHealthClean": "Nothing to clean up",
+    "bookmarkLinksChecked": "Links checked: {done} of {total}",  // Do not translate {done} and {total}
+    "bookmarkDuplicates": "Saved more than once: {count}",  // Do not translate {count}
+    "bookmarkEmptyFolders": "Empty folders: {count}",  // Do not translate {count}
+    "bookmarkBrokenLinks": "Links that don't work: {count}",  // Do not translate {count}
+    "bookmarkSameAddress": "same address",
+    "bookmarkSimilarAddress": "similar address",
+    "bookmarkNoResponse": "no answer",
+    "bookmarkHealthOffline": "You're offline, links can be checked once you're connected again",
+    "bookmarkTransferHeading": "Export and Import",
+    "bookmarkExportHeading": "Export",
+    "bookmarkImportHeading": "Import",
+    "bookmarkImportIntro": "Pick an HTML or JSON file exported from Chrome, Edge, Firefox or here, and see what it holds before it is added to this folder:",
+    "bookmarkFormatHtml": "HTML, opens in any browser",
+    "bookmarkFormatJson": "JSON",
+    "allBookmarks": "All bookmarks",
+    "chooseBookmarkFile": "Choose file",
+    "bookmarkImportPreview": "To add to {folder}: bookmarks {bookmarks}, folders {folders}.",  // Do not translate {bookmarks}, {folders} and {folder}
+    "bookmarkImportSkipped": "Left out as they can't be bookmarked: {count}.",  // Do not translate {count}
+    "bookmarkFolderItems": "Items: {count}",  // Do not translate {count}
+    "bookmarksImported": "Imported {count} items",  // Do not translate {count}
+    "pinBookmarkFolder": "Pin to home screen",
+    "unpinBookmarkFolder": "Unpin from home screen",
+    "pinnedFolderEmpty": "No bookmarks in this folder",
 
     // New Tab Item
     "conditionText": "Hello! How are you today?",
@@ -132,6 +266,7 @@ const en = {
     "listenPlaceholder": "Listening...",
     "searchWithHint": "Search With",
     "searchOnHint": "Search On",
+    "searchEngineOverrideHint": "Only for this search. Press Alt + a number to switch, Esc to go back.",
     "userText": "Click here to edit",
 
     // Greeting
@@ -214,6 +349,30 @@ const en = {
     "restorefailed": "Restore failed: ",
     "invalidBackup": "Invalid backup file selected.",
     "deleteBookmark": "Are you sure you want to delete the bookmark \"{title}\"?",  // Do not translate {title}
+    "deleteBookmarkFolder": "Are you sure you want to delete the folder \"{title}\" and everything in it?",  // Do not translate {title}
+    "alreadyBookmarked": "\"{title}\" is already in your bookmarks.",  // Do not translate {title}
+    "deleteSelectedBookmarks": "Are you sure you want to delete the {count} selected items?",  // Do not translate {count}
+    "invalidBookmarkFile": "This file doesn't look like exported bookmarks. Please pick an HTML or JSON bookmark file.",
+    "mergeDuplicateBookmarks": "Delete the {count} selected copies? One bookmark of each group is always kept.",  // Do not translate {count}
+    "deleteCustomEngine": "Are you sure you want to delete the search engine \"{title}\"?",  // Do not translate {title}
+    "engineGroupTabsFailed": "The search could not be opened on {engines}.",  // Do not translate {engines}
+    "invalidCustomEngine": "Please enter a name and a valid URL containing %s.",    // Do not translate %s
+    "deleteSearchBang": "Are you sure you want to delete the bang \"!{title}\"?",  // Do not translate {title}
+    "invalidSearchBang": "Please enter an unused bang without spaces and a valid URL containing %s.",    // Do not translate %s
+    "deleteEngineGroup": "Are you sure you want to delete the group \"{title}\"?",  // Do not translate {title}
+    "invalidEngineGroup": "Please enter a name, an unused hotkey letter and choose at least two engines.",
+    "deleteSmartFolder": "Are you sure you want to delete the smart folder \"{title}\"?",  // Do not translate {title}
+    "invalidSmartFolder": "Please enter a name and the search words or website to look for.",
+    "clearSearchHistoryConfirm": "Are you sure you want to delete your search history?",
+    "currencyRatesFailed": "Could not load currency rates from this address.",
     "UnsupportedBrowser": "Bookmarks are not supported in your browser.",
+    "deleteShortcutFolder": "Are you sure you want to delete the folder \"{title}\"? Its shortcuts stay on the home screen.",  // Do not translate {title}
+    "importPermissionDenied": "Importing from here needs the permission to read them.",
+    "invalidLaunchUrls": "Please enter up to 10 valid URLs, one per line.",
+    "privateWindowFailed": "Could not open a private window. Allow this extension to run in private windows in the browser settings.",
+    "invalidShortcutIcon": "Please choose an image smaller than 1 MB, enter an image URL starting with http:// or https://, or type an emoji or up to two letters.",
+    "invalidIconPack": "This file is not an icon pack. Packs are JSON files with a list of icons that each have a name, domains and an SVG path.",
+    "deleteIconPackPrompt": "Are you sure you want to remove the icon pack \"{title}\"?",  // Do not translate {title}
+    "deleteShortcutPagePrompt": "Are you sure you want to delete the page \"{title}\"? Its shortcuts move to the first page.",  // Do not translate {title}
     "resetShortcutsPrompt": "All saved shortcuts will be deleted and reset to default. Do you want to continue?"
 };
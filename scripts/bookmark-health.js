@@ -0,0 +1,405 @@
+/*
+ * Material You NewTab
+ * Copyright (c) 2023-2025 XengShi
+ * Licensed under the GNU General Public License v3.0 (GPL-3.0)
+ * You should have received a copy of the GNU General Public License along with this program.
+ * If not, see <https://www.gnu.org/licenses/>.
+ */
+
+// ------------------------ Bookmark Health Check ------------------------
+// Finds bookmarks saved more than once, folders with nothing in them and, with
+// access to all websites, links that no longer work. Link results are kept in
+// localStorage for a week, so a scan that was stopped goes on where it left off.
+const linkCheckMaxAge = 7 * 24 * 60 * 60 * 1000;
+// No answer at all can also mean the connection dropped, so those links are asked again sooner
+const linkCheckRetryAge = 60 * 60 * 1000;
+const linkCheckSaveEvery = 20;
+const linkCheckTimeout = 10000;
+const linkCheckConcurrency = 4;
+
+// Whether a website still answers at an address. Tests and other callers can replace it to work offline.
+let bookmarkLinkChecker = checkBookmarkLink;
+
+// Addresses count as the same page without "www.", a trailing slash, tracking parameters
+// or the order of the other parameters. The protocol and the fragment are kept, since
+// app routes like "#/inbox" and "#/settings" are different pages.
+function normalizeBookmarkUrl(url) {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch (error) {
+        return url;
+    }
+    if (!["http:", "https:"].includes(parsed.protocol)) return url;
+
+    const params = [...parsed.searchParams]
+        .filter(([key]) => !/^(utm_\w+|fbclid|gclid|mc_eid)$/i.test(key))
+        .sort(([a], [b]) => a.localeCompare(b));
+    const query = params.length ? `?${new URLSearchParams(params)}` : "";
+
+    const host = parsed.host.toLowerCase().replace(/^www\./, "");
+    return `${parsed.protocol}//${host}${parsed.pathname.replace(/\/+$/, "")}${query}${parsed.hash}`;
+}
+
+// Walks the tree from getTree into the bookmarks, duplicate groups and empty folders found in it
+function findBookmarkProblems(rootNode) {
+    const bookmarks = [];
+    const emptyFolders = [];
+
+    const addNodes = (nodes, path, depth) => nodes.forEach(node => {
+        if (node.url) {
+            bookmarks.push({ id: node.id, title: node.title || "", url: node.url, path, dateAdded: node.dateAdded || 0 });
+            return;
+        }
+        if (!node.children) return; // Firefox separators
+
+        // The folders at the top, like the bookmarks bar, can't be removed
+        if (node.children.length === 0 && depth > 0 && !node.unmodifiable) {
+            emptyFolders.push({ id: node.id, title: node.title || "", path, isFolder: true });
+        }
+        addNodes(node.children, path ? `${path} / ${node.title}` : node.title, depth + 1);
+    });
+    addNodes(rootNode?.children || [], "", 0);
+
+    // The oldest bookmark comes first in each group, it's the one a merge keeps
+    const groups = new Map();
+    bookmarks.forEach(bookmark => {
+        const key = normalizeBookmarkUrl(bookmark.url);
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(bookmark);
+    });
+    const duplicates = [...groups.values()]
+        .filter(group => group.length > 1)
+        .map(group => group.sort((a, b) => a.dateAdded - b.dateAdded));
+
+    return { bookmarks, duplicates, emptyFolders };
+}
+
+// Asks a website for an address, with HEAD first and GET for servers that refuse it.
+// Only a missing page or no answer at all count as broken, other errors can be a login wall.
+async function checkBookmarkLink(url, signal) {
+    const controller = new AbortController();
+    const abort = () => controller.abort();
+    const timer = setTimeout(abort, linkCheckTimeout);
+    signal?.addEventListener("abort", abort);
+
+    try {
+        const options = { credentials: "omit", redirect: "follow", signal: controller.signal };
+        let response = await fetch(url, { ...options, method: "HEAD" });
+        if (response.status === 405 || response.status === 501) {
+            response = await fetch(url, options);
+        }
+        return { ok: response.status !== 404 && response.status !== 410, status: response.status };
+    } catch (error) {
+        if (signal?.aborted) throw error;
+        return { ok: false, status: 0 };
+    } finally {
+        clearTimeout(timer);
+        signal?.removeEventListener("abort", abort);
+    }
+}
+
+function loadLinkChecks() {
+    try {
+        return JSON.parse(localStorage.getItem("bookmarkLinkChecks")) || {};
+    } catch (error) {
+        return {};
+    }
+}
+
+// A full storage only costs the results of this scan, the links get checked again next time
+function saveLinkChecks(checks) {
+    try {
+        localStorage.setItem("bookmarkLinkChecks", JSON.stringify(checks));
+    } catch (error) {
+        console.error("Error saving link checks:", error);
+    }
+}
+
+// The web addresses among the bookmarks that have no recent result yet
+function getUncheckedLinks(bookmarks, checks, now = Date.now()) {
+    const urls = new Set();
+    bookmarks.forEach(bookmark => {
+        if (!/^https?:\/\//i.test(bookmark.url)) return;
+        const check = checks[bookmark.url];
+        const maxAge = check?.status === 0 ? linkCheckRetryAge : linkCheckMaxAge;
+        if (!check || now - check.checked > maxAge) urls.add(bookmark.url);
+    });
+    return [...urls];
+}
+
+// Checks the links a few at a time, saving the results now and then so a stopped scan can resume
+async function checkBookmarkLinks(bookmarks, { checkLink = bookmarkLinkChecker, signal, onProgress } = {}) {
+    const checks = loadLinkChecks();
+    const urls = getUncheckedLinks(bookmarks, checks);
+    const total = new Set(bookmarks.filter(bookmark => /^https?:\/\//i.test(bookmark.url)).map(bookmark => bookmark.url)).size;
+    let done = total - urls.length;
+    let unsaved = 0;
+    onProgress?.(done, total);
+
+    const worker = async () => {
+        while (urls.length && !signal?.aborted) {
+            const url = urls.shift();
+            try {
+                const result = await checkLink(url, signal);
+                checks[url] = { ok: result.ok, status: result.status, checked: Date.now() };
+            } catch (error) {
+                if (signal?.aborted) break;
+                checks[url] = { ok: false, status: 0, checked: Date.now() };
+            }
+            if (++unsaved >= linkCheckSaveEvery) {
+                saveLinkChecks(checks);
+                unsaved = 0;
+            }
+            onProgress?.(++done, total);
+        }
+    };
+    try {
+        await Promise.all(Array.from({ length: linkCheckConcurrency }, worker));
+    } finally {
+        if (unsaved) saveLinkChecks(checks);
+    }
+
+    return checks;
+}
+
+// The bookmarks whose last check found nothing there
+function getBrokenBookmarks(bookmarks, checks) {
+    return bookmarks.filter(bookmark => checks[bookmark.url]?.ok === false);
+}
+
+document.addEventListener("DOMContentLoaded", function () {
+    const healthButton = document.getElementById("bookmarkHealthButton");
+    const healthModal = document.getElementById("bookmarkHealthModal");
+    const healthOverlay = document.getElementById("bookmarkHealthOverlay");
+    const checkLinksCheckbox = document.getElementById("bookmarkHealthLinks");
+    const healthStatus = document.getElementById("bookmarkHealthStatus");
+    const healthList = document.getElementById("bookmarkHealthList");
+    const scanButton = document.getElementById("bookmarkHealthScanBtn");
+    const mergeButton = document.getElementById("bookmarkHealthMergeBtn");
+    const deleteButton = document.getElementById("bookmarkHealthDeleteBtn");
+
+    let problems = null;
+    let scanController = null;
+
+    const getText = (key) => translations[currentLanguage]?.[key] || translations["en"][key];
+
+    function addSection(key, count) {
+        const heading = document.createElement("h4");
+        heading.className = "bookmark-health-section";
+        heading.textContent = getText(key).replace("{count}", count);
+        healthList.appendChild(heading);
+    }
+
+    function addRow(item, subtitleText, checked, group) {
+        const row = document.createElement("label");
+        row.className = "settings-modal-item";
+
+        const checkbox = document.createElement("input");
+        checkbox.type = "checkbox";
+        checkbox.checked = checked;
+        checkbox._item = item;
+        checkbox._group = group;
+
+        const texts = document.createElement("div");
+        texts.className = "settings-item-texts";
+
+        const title = document.createElement("span");
+        title.className = "settings-item-title";
+        title.textContent = item.title || (item.url ? getDisplayUrl(item.url) : "");
+
+        const subtitle = document.createElement("span");
+        subtitle.className = "settings-item-subtitle";
+        subtitle.textContent = subtitleText;
+
+        texts.append(title, subtitle);
+        row.append(checkbox, texts);
+        healthList.appendChild(row);
+    }
+
+    // Exact copies are picked for deletion, similar addresses and broken links are left for you to look at
+    function renderHealthResults(checks) {
+        const broken = getBrokenBookmarks(problems.bookmarks, checks);
+        healthList.innerHTML = "";
+
+        if (problems.duplicates.length) {
+            addSection("bookmarkDuplicates", problems.duplicates.length);
+            problems.duplicates.forEach(group => {
+                addRow(group[0], `${group[0].path} · ${getDisplayUrl(group[0].url)}`, false, group);
+                group.slice(1).forEach(bookmark => {
+                    const sameAddress = bookmark.url === group[0].url;
+                    const note = getText(sameAddress ? "bookmarkSameAddress" : "bookmarkSimilarAddress");
+                    addRow(bookmark, `${bookmark.path} · ${getDisplayUrl(bookmark.url)} · ${note}`, sameAddress, group);
+                });
+            });
+        }
+
+        if (problems.emptyFolders.length) {
+            addSection("bookmarkEmptyFolders", problems.emptyFolders.length);
+            problems.emptyFolders.forEach(folder => addRow(folder, folder.path, true));
+        }
+
+        if (broken.length) {
+            addSection("bookmarkBrokenLinks", broken.length);
+            broken.forEach(bookmark => {
+                const status = checks[bookmark.url].status || getText("bookmarkNoResponse");
+                addRow(bookmark, `${bookmark.path} · ${getDisplayUrl(bookmark.url)} · ${status}`, false);
+            });
+        }
+
+        if (!healthList.children.length) {
+            healthStatus.textContent = getText("bookmarkHealthClean");
+        }
+        updateHealthButtons();
+    }
+
+    function updateHealthButtons() {
+        mergeButton.disabled = !getCheckedDuplicates().length || Boolean(scanController);
+        deleteButton.disabled = !healthList.querySelector("input:checked") || Boolean(scanController);
+    }
+
+    function getLinkStatusText(done, total) {
+        return getText("bookmarkLinksChecked").replace("{done}", done).replace("{total}", total);
+    }
+
+    // Looks at the folders right away and shows the link results that are already known
+    async function scanBookmarks() {
+        const [root] = await bookmarksAPI.getTree();
+        problems = findBookmarkProblems(root);
+
+        const checks = loadLinkChecks();
+        const total = new Set(problems.bookmarks.filter(bookmark => /^https?:\/\//i.test(bookmark.url)).map(bookmark => bookmark.url)).size;
+        const unchecked = getUncheckedLinks(problems.bookmarks, checks).length;
+        healthStatus.textContent = unchecked < total ? getLinkStatusText(total - unchecked, total) : "";
+
+        renderHealthResults(checks);
+    }
+
+    async function scanLinks() {
+        // Offline every link would look broken
+        if (!navigator.onLine) {
+            healthStatus.textContent = getText("bookmarkHealthOffline");
+            return;
+        }
+
+        scanController = new AbortController();
+        scanButton.textContent = getText("bookmarkHealthStop");
+        updateHealthButtons();
+
+        let checks;
+        try {
+            checks = await checkBookmarkLinks(problems.bookmarks, {
+                signal: scanController.signal,
+                onProgress: (done, total) => healthStatus.textContent = getLinkStatusText(done, total)
+            });
+        } finally {
+            scanController = null;
+            scanButton.textContent = getText("bookmarkHealthScan");
+            updateHealthButtons();
+        }
+        if (healthModal.style.display !== "none") renderHealthResults(checks);
+    }
+
+    function stopLinkScan() {
+        scanController?.abort();
+    }
+
+    async function handleScanClick() {
+        if (scanController) {
+            stopLinkScan();
+            return;
+        }
+
+        // Ask for access before anything else, while the click still counts as one
+        if (checkLinksCheckbox.checked && !(await requestHostPermission(["*://*/*"]))) {
+            checkLinksCheckbox.checked = false;
+        }
+
+        try {
+            await scanBookmarks();
+            if (checkLinksCheckbox.checked) await scanLinks();
+        } catch (err) {
+            console.error("Error checking bookmarks:", err);
+        }
+    }
+
+    // Removes the items one by one, so each one's place is known when it is brought back
+    async function removeHealthItems(items) {
+        const removed = [];
+        for (const item of items) {
+            try {
+                const [node] = await bookmarksAPI.getSubTree(item.id);
+                await bookmarksAPI.remove(item.id); // Folders here are empty, a folder that isn't anymore stays
+                removed.push(node);
+            } catch (err) {
+                console.error("Error removing bookmark:", err);
+            }
+        }
+        if (!removed.length) return;
+
+        showBookmarkUndo(getText("bookmarksRemoved").replace("{count}", removed.length), async () => {
+            for (const node of removed.reverse()) {
+                await restoreBookmarkNode(node, node.parentId, node.index);
+            }
+            if (healthModal.style.display !== "none") await scanBookmarks();
+        });
+
+        await scanBookmarks();
+    }
+
+    async function deleteSelected() {
+        const items = [...healthList.querySelectorAll("input:checked")].map(checkbox => checkbox._item);
+        if (!items.length) return;
+        if (!(await confirmPrompt(getText("deleteSelectedBookmarks").replace("{count}", items.length)))) return;
+
+        await removeHealthItems(items);
+    }
+
+    // The ticked copies of each group, leaving the oldest one if every copy is ticked
+    function getCheckedDuplicates() {
+        const checked = [...healthList.querySelectorAll("input:checked")].filter(checkbox => checkbox._group);
+        return checked
+            .filter(checkbox => checkbox._item !== checkbox._group[0] ||
+                checkbox._group.some(bookmark => !checked.some(c => c._item === bookmark)))
+            .map(checkbox => checkbox._item);
+    }
+
+    // Removes the ticked copies and always keeps one bookmark of each group
+    async function mergeDuplicates() {
+        const items = getCheckedDuplicates();
+        if (!items.length) return;
+        if (!(await confirmPrompt(getText("mergeDuplicateBookmarks").replace("{count}", items.length)))) return;
+
+        await removeHealthItems(items);
+    }
+
+    async function openBookmarkHealth() {
+        if (!(await requestBookmarkPermission())) return;
+
+        healthList.innerHTML = "";
+        healthStatus.textContent = "";
+        healthModal.style.display = "block";
+        healthOverlay.style.display = "block";
+
+        try {
+            await scanBookmarks();
+        } catch (err) {
+            console.error("Error checking bookmarks:", err);
+        }
+    }
+
+    function closeBookmarkHealth() {
+        stopLinkScan();
+        healthModal.style.display = "none";
+        healthOverlay.style.display = "none";
+    }
+
+    healthButton.title = getText("bookmarkHealthHeading");
+    healthButton.addEventListener("click", openBookmarkHealth);
+    scanButton.addEventListener("click", handleScanClick);
+    mergeButton.addEventListener("click", mergeDuplicates);
+    deleteButton.addEventListener("click", deleteSelected);
+    healthList.addEventListener("change", updateHealthButtons);
+    document.getElementById("closeBookmarkHealthBtn").addEventListener("click", closeBookmarkHealth);
+    healthOverlay.addEventListener("click", closeBookmarkHealth);
+});
@@ -0,0 +1,398 @@
+/*
+ * Material You NewTab
+ * Copyright (c) 2023-2025 XengShi
+ * Licensed under the GNU General Public License v3.0 (GPL-3.0)
+ * You should have received a copy of the GNU General Public License along with this program.
+ * If not, see <https://www.gnu.org/licenses/>.
+ */
+
+// ------------------------ Bookmark Export and Import ------------------------
+// Exports use the Netscape bookmark file every browser reads, or JSON. Imports read
+// those files as written by Chrome, Edge, Firefox (including its JSON backups) or
+// this page, and also the "Bookmarks" file Chromium keeps in its profile folder.
+const maxImportPreviewRows = 100;
+
+// Names for the top folders of a Firefox JSON backup, titled "menu", "toolbar" and so on
+const firefoxRootFolders = {
+    toolbarFolder: "Bookmarks Toolbar",
+    bookmarksMenuFolder: "Bookmarks Menu",
+    unfiledBookmarksFolder: "Other Bookmarks",
+    mobileFolder: "Mobile Bookmarks"
+};
+
+function escapeBookmarkHtml(text) {
+    return String(text)
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;");
+}
+
+// Nodes from getTree as plain titles, addresses and dates
+function toExportedBookmark(node) {
+    const bookmark = { title: node.title || "" };
+    if (node.dateAdded) bookmark.dateAdded = node.dateAdded;
+    if (node.url) {
+        bookmark.url = node.url;
+    } else {
+        bookmark.children = (node.children || []).map(toExportedBookmark);
+    }
+    return bookmark;
+}
+
+function exportBookmarksAsJson(nodes) {
+    return JSON.stringify({ version: 1, exported: new Date().toISOString(), children: nodes.map(toExportedBookmark) }, null, 2);
+}
+
+function exportBookmarksAsHtml(nodes) {
+    const lines = [
+        "<!DOCTYPE NETSCAPE-Bookmark-file-1>",
+        "<!-- This is an automatically generated file.",
+        "     It will be read and overwritten.",
+        "     DO NOT EDIT! -->",
+        '<META HTTP-EQUIV="Content-Type" CONTENT="text/html; charset=UTF-8">',
+        "<TITLE>Bookmarks</TITLE>",
+        "<H1>Bookmarks</H1>",
+        "<DL><p>"
+    ];
+
+    const addNodes = (children, depth) => children.forEach(node => {
+        const indent = "    ".repeat(depth);
+        const added = node.dateAdded ? ` ADD_DATE="${Math.floor(node.dateAdded / 1000)}"` : "";
+
+        if (node.url) {
+            lines.push(`${indent}<DT><A HREF="${escapeBookmarkHtml(node.url)}"${added}>${escapeBookmarkHtml(node.title || "")}</A>`);
+        } else if (node.children) {
+            // Browsers put what's in this folder back in their bookmarks bar
+            const toolbar = node.folderType === "bookmarks-bar" || node.id === "toolbar_____" ? ' PERSONAL_TOOLBAR_FOLDER="true"' : "";
+            lines.push(`${indent}<DT><H3${added}${toolbar}>${escapeBookmarkHtml(node.title || "")}</H3>`);
+            lines.push(`${indent}<DL><p>`);
+            addNodes(node.children, depth + 1);
+            lines.push(`${indent}</DL><p>`);
+        }
+    });
+    addNodes(nodes, 1);
+
+    lines.push("</DL><p>");
+    return lines.join("\n");
+}
+
+// Addresses a browser can save, leaving out Firefox queries like "place:sort=8"
+function isImportableBookmarkUrl(url) {
+    try {
+        return new URL(url).protocol !== "place:";
+    } catch (error) {
+        return false;
+    }
+}
+
+// Any bookmark or folder from a JSON file as { title, url } or { title, children }, or null for the rest
+function toImportedBookmark(item, result) {
+    if (!item || typeof item !== "object") return null;
+
+    const url = item.url || item.uri || item.href;
+    const title = String(item.title ?? item.name ?? "");
+
+    if (url) {
+        if (!isImportableBookmarkUrl(url)) {
+            result.skipped++;
+            return null;
+        }
+        return { title, url: String(url) };
+    }
+    if (Array.isArray(item.children)) {
+        return {
+            title: firefoxRootFolders[item.root] || title,
+            children: item.children.map(child => toImportedBookmark(child, result)).filter(Boolean)
+        };
+    }
+    return null; // Separators
+}
+
+function parseBookmarkJson(data, result) {
+    let items;
+    if (Array.isArray(data)) {
+        items = data;
+    } else if (data?.roots && typeof data.roots === "object") {
+        // The "Bookmarks" file of Chromium browsers
+        items = Object.values(data.roots).filter(root => root && typeof root === "object" && Array.isArray(root.children));
+    } else if (Array.isArray(data?.children)) {
+        // This page and Firefox backups, whose root folder has no title
+        items = data.children;
+    } else {
+        return null;
+    }
+    return items.map(item => toImportedBookmark(item, result)).filter(Boolean);
+}
+
+// Netscape files are loose HTML: a <DT> holds a link, or a folder name with its <DL>
+// inside it or right after it, depending on the browser and how the file is parsed
+function parseBookmarkList(list, result) {
+    const nodes = [];
+
+    list.querySelectorAll(":scope > dt, :scope > p > dt").forEach(item => {
+        const link = item.querySelector(":scope > a");
+        const heading = item.querySelector(":scope > h3");
+
+        if (link) {
+            const url = link.getAttribute("href") || "";
+            if (isImportableBookmarkUrl(url)) {
+                nodes.push({ title: link.textContent.trim(), url });
+            } else {
+                result.skipped++;
+            }
+        } else if (heading) {
+            // Firefox puts a folder's description in a <DD> that ends up holding its <DL>
+            let children = item.querySelector(":scope > dl");
+            for (let next = item.nextElementSibling; !children && next && next.tagName !== "DT"; next = next.nextElementSibling) {
+                children = next.tagName === "DL" ? next : next.querySelector(":scope > dl");
+            }
+            nodes.push({ title: heading.textContent.trim(), children: children ? parseBookmarkList(children, result) : [] });
+        }
+    });
+
+    return nodes;
+}
+
+// Reads an HTML or JSON bookmark file into { nodes, skipped }, or null when it's neither
+function parseBookmarkFile(text) {
+    const result = { nodes: null, skipped: 0 };
+    const trimmed = text.replace(/^\uFEFF/, "").trim();
+
+    if (trimmed.startsWith("{") || trimmed.startsWith("[")) {
+        try {
+            result.nodes = parseBookmarkJson(JSON.parse(trimmed), result);
+        } catch (error) {
+            return null;
+        }
+    } else {
+        const doc = new DOMParser().parseFromString(trimmed, "text/html");
+        const list = doc.querySelector("dl");
+        if (list) result.nodes = parseBookmarkList(list, result);
+    }
+
+    return result.nodes ? result : null;
+}
+
+function countImportedBookmarks(nodes) {
+    return nodes.reduce((count, node) => {
+        if (node.url) {
+            count.bookmarks++;
+        } else {
+            const inside = countImportedBookmarks(node.children);
+            count.folders += inside.folders + 1;
+            count.bookmarks += inside.bookmarks;
+        }
+        return count;
+    }, { bookmarks: 0, folders: 0 });
+}
+
+// Creates a bookmark, or a folder with all that's in it, going on past the items the browser refuses
+async function createImportedBookmark(node, parentId) {
+    const bookmark = await bookmarksAPI.create(node.url
+        ? { parentId, title: node.title, url: node.url }
+        : { parentId, title: node.title });
+
+    let failed = 0;
+    for (const child of node.children || []) {
+        try {
+            failed += (await createImportedBookmark(child, bookmark.id)).failed;
+        } catch (err) {
+            console.error("Error importing bookmark:", err);
+            failed++;
+        }
+    }
+
+    return { id: bookmark.id, failed };
+}
+
+document.addEventListener("DOMContentLoaded", function () {
+    const transferButton = document.getElementById("bookmarkTransferButton");
+    const transferModal = document.getElementById("bookmarkTransferModal");
+    const transferOverlay = document.getElementById("bookmarkTransferOverlay");
+    const exportFolder = document.getElementById("bookmarkExportFolder");
+    const exportFormat = document.getElementById("bookmarkExportFormat");
+    const importFolder = document.getElementById("bookmarkImportFolder");
+    const importFile = document.getElementById("bookmarkImportFile");
+    const importInfo = document.getElementById("bookmarkImportInfo");
+    const importPreview = document.getElementById("bookmarkImportPreview");
+    const exportButton = document.getElementById("exportBookmarksBtn");
+    const chooseFileButton = document.getElementById("chooseBookmarkFileBtn");
+    const importButton = document.getElementById("importBookmarksBtn");
+
+    let pendingImport = null;
+
+    const getText = (key) => translations[currentLanguage]?.[key] || translations["en"][key];
+
+    function resetImportPreview() {
+        pendingImport = null;
+        importFile.value = "";
+        importInfo.textContent = "";
+        importPreview.innerHTML = "";
+        importButton.disabled = true;
+    }
+
+    async function openBookmarkTransfer() {
+        if (!(await requestBookmarkPermission())) return;
+
+        resetImportPreview();
+        try {
+            const defaultFolderId = await getDefaultBookmarkFolderId();
+            await fillBookmarkFolderSelect(importFolder, defaultFolderId);
+            await fillBookmarkFolderSelect(exportFolder, "");
+
+            const allOption = document.createElement("option");
+            allOption.value = "";
+            allOption.textContent = getText("allBookmarks");
+            exportFolder.prepend(allOption);
+            exportFolder.value = "";
+        } catch (err) {
+            console.error("Error loading bookmark folders:", err);
+        }
+
+        transferModal.style.display = "block";
+        transferOverlay.style.display = "block";
+    }
+
+    function closeBookmarkTransfer() {
+        transferModal.style.display = "none";
+        transferOverlay.style.display = "none";
+        resetImportPreview();
+    }
+
+    async function exportBookmarks() {
+        try {
+            const [root] = exportFolder.value
+                ? await bookmarksAPI.getSubTree(exportFolder.value)
+                : await bookmarksAPI.getTree();
+            const nodes = exportFolder.value ? [root] : root.children || [];
+            const isJson = exportFormat.value === "json";
+
+            const date = new Date();
+            const formattedDate = `${String(date.getDate()).padStart(2, "0")}${String(date.getMonth() + 1).padStart(2, "0")}${date.getFullYear()}`;
+            const fileName = `MYNT_Bookmarks_${formattedDate}.${isJson ? "json" : "html"}`;
+
+            const blob = isJson
+                ? new Blob([exportBookmarksAsJson(nodes)], { type: "application/json" })
+                : new Blob([exportBookmarksAsHtml(nodes)], { type: "text/html" });
+            // Clicked inside the modal, so the bookmarks sidebar stays open
+            const url = URL.createObjectURL(blob);
+            const link = document.createElement("a");
+            link.href = url;
+            link.download = fileName;
+            transferModal.appendChild(link);
+            link.click();
+            transferModal.removeChild(link);
+            setTimeout(() => URL.revokeObjectURL(url), 2000); // Delay URL revocation
+        } catch (err) {
+            console.error("Error exporting bookmarks:", err);
+        }
+    }
+
+    // Shows what the file holds before anything is added
+    function renderImportPreview(nodes) {
+        const count = countImportedBookmarks(nodes);
+        const folderName = importFolder.selectedOptions[0]?.textContent || "";
+
+        let info = getText("bookmarkImportPreview")
+            .replace("{bookmarks}", count.bookmarks)
+            .replace("{folders}", count.folders)
+            .replace("{folder}", folderName);
+        if (pendingImport.skipped) {
+            info += " " + getText("bookmarkImportSkipped").replace("{count}", pendingImport.skipped);
+        }
+        importInfo.textContent = info;
+
+        importPreview.innerHTML = "";
+        let rows = 0;
+        const addRows = (children, depth) => children.forEach(node => {
+            if (rows++ >= maxImportPreviewRows) return;
+
+            const row = document.createElement("div");
+            row.className = "settings-modal-item";
+            row.style.marginInlineStart = `${depth * 16}px`;
+
+            const texts = document.createElement("div");
+            texts.className = "settings-item-texts";
+
+            const title = document.createElement("span");
+            title.className = "settings-item-title";
+            title.textContent = node.title || (node.url ? getDisplayUrl(node.url) : "");
+
+            const subtitle = document.createElement("span");
+            subtitle.className = "settings-item-subtitle";
+            subtitle.textContent = node.url
+                ? getDisplayUrl(node.url)
+                : getText("bookmarkFolderItems").replace("{count}", node.children.length);
+
+            texts.append(title, subtitle);
+            row.appendChild(texts);
+            importPreview.appendChild(row);
+
+            if (node.children) addRows(node.children, depth + 1);
+        });
+        addRows(nodes, 0);
+
+        importButton.disabled = count.bookmarks + count.folders === 0;
+    }
+
+    async function handleImportFile() {
+        const file = importFile.files[0];
+        if (!file) return;
+
+        const result = parseBookmarkFile(await file.text());
+        if (!result) {
+            resetImportPreview();
+            await alertPrompt(getText("invalidBookmarkFile"));
+            return;
+        }
+
+        pendingImport = result;
+        renderImportPreview(result.nodes);
+    }
+
+    async function importBookmarks() {
+        if (!pendingImport) return;
+
+        const { nodes } = pendingImport;
+        const parentId = importFolder.value;
+        const count = countImportedBookmarks(nodes);
+        importButton.disabled = true;
+
+        // Undo only has to remove the items at the top, the rest goes with them
+        const created = [];
+        let failed = 0;
+        for (const node of nodes) {
+            try {
+                const result = await createImportedBookmark(node, parentId);
+                created.push({ id: result.id, isFolder: !node.url });
+                failed += result.failed;
+            } catch (err) {
+                console.error("Error importing bookmark:", err);
+                failed++;
+            }
+        }
+
+        if (created.length) {
+            showBookmarkUndo(getText("bookmarksImported").replace("{count}", count.bookmarks + count.folders - failed), async () => {
+                for (const item of created) {
+                    await (item.isFolder ? bookmarksAPI.removeTree(item.id) : bookmarksAPI.remove(item.id));
+                }
+            });
+        }
+
+        closeBookmarkTransfer();
+    }
+
+    transferButton.title = getText("bookmarkTransferHeading");
+    transferButton.addEventListener("click", openBookmarkTransfer);
+    exportButton.addEventListener("click", exportBookmarks);
+    chooseFileButton.addEventListener("click", () => importFile.click());
+    importFile.addEventListener("change", handleImportFile);
+    importFolder.addEventListener("change", () => {
+        if (pendingImport) renderImportPreview(pendingImport.nodes);
+    });
+    importButton.addEventListener("click", importBookmarks);
+    document.getElementById("closeBookmarkTransferBtn").addEventListener("click", closeBookmarkTransfer);
+    transferOverlay.addEventListener("click", closeBookmarkTransfer);
+});
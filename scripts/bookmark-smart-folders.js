@@ -0,0 +1,342 @@
+/*
+ * Material You NewTab
+ * Copyright (c) 2023-2025 XengShi
+ * Licensed under the GNU General Public License v3.0 (GPL-3.0)
+ * You should have received a copy of the GNU General Public License along with this program.
+ * If not, see <https://www.gnu.org/licenses/>.
+ */
+
+// ------------------------ Smart Bookmark Folders ------------------------
+// Folders at the end of the bookmarks sidebar that fill themselves: the newest
+// bookmarks, the most visited ones and the ones matching a search or a website.
+// Their order, size and whether they show are kept in localStorage.
+const smartFolderDefaults = [
+    { id: "recent", type: "recent", count: 8, visible: true },
+    { id: "mostVisited", type: "mostVisited", count: 8, visible: false }
+];
+const maxSmartFolderCount = 50;
+
+function getSmartFolders() {
+    const folders = JSON.parse(localStorage.getItem("bookmarkSmartFolders") || "null") || [];
+
+    // Built-in folders that are missing from the saved list are added at the end
+    smartFolderDefaults.forEach(folder => {
+        if (!folders.some(f => f.id === folder.id)) folders.push({ ...folder });
+    });
+    return folders;
+}
+
+function saveSmartFolders(folders) {
+    localStorage.setItem("bookmarkSmartFolders", JSON.stringify(folders));
+}
+
+// Built-in folders are named in the page language, the others as they were saved
+function getSmartFolderTitle(folder) {
+    const key = { recent: "smartFolderRecent", mostVisited: "smartFolderMostVisited" }[folder.type];
+    if (!key) return folder.name;
+    return translations[currentLanguage]?.[key] || translations["en"][key];
+}
+
+// Only there once the history permission was given
+function getHistoryAPI() {
+    if (isFirefox) return browser.history;
+    if (isChromiumBased) return chrome.history;
+    return undefined;
+}
+
+// "https://www.GitHub.com/x" and "github.com" both become "github.com"
+function normalizeSmartFolderDomain(domain) {
+    return domain.trim().toLowerCase().replace(/^[a-z][a-z\d+.-]*:\/\//, "").replace(/^www\./, "").split(/[/?#]/)[0];
+}
+
+function isBookmarkOnDomain(url, domain) {
+    try {
+        const host = new URL(url).hostname.replace(/^www\./, "");
+        return host === domain || host.endsWith(`.${domain}`);
+    } catch (error) {
+        return false;
+    }
+}
+
+function getAllBookmarks(rootNode) {
+    const bookmarks = [];
+    const addNodes = nodes => nodes.forEach(node => {
+        if (node.url) bookmarks.push(node);
+        else if (node.children) addNodes(node.children);
+    });
+    addNodes(rootNode?.children || []);
+    return bookmarks;
+}
+
+// Visit counts by address, kept between sidebar updates so a bookmark event only asks about new addresses
+const bookmarkVisitCounts = new Map();
+const bookmarkVisitCountsMaxAge = 30 * 60 * 1000;
+const bookmarkVisitCountsConcurrency = 4;
+let bookmarkVisitCountsTime = 0;
+
+// Bookmarks ordered by how often their page was opened, counted from the browsing history
+async function getMostVisitedBookmarks(bookmarks, count) {
+    const history = getHistoryAPI();
+    if (!history) return [];
+
+    if (Date.now() - bookmarkVisitCountsTime > bookmarkVisitCountsMaxAge) {
+        bookmarkVisitCounts.clear();
+        bookmarkVisitCountsTime = Date.now();
+    }
+
+    // A few addresses at a time, a large library would otherwise send thousands of queries at once
+    const urls = [...new Set(bookmarks.map(bookmark => bookmark.url))].filter(url => !bookmarkVisitCounts.has(url));
+    const worker = async () => {
+        while (urls.length) {
+            const url = urls.shift();
+            const visits = await history.getVisits({ url });
+            bookmarkVisitCounts.set(url, visits.length);
+        }
+    };
+    await Promise.all(Array.from({ length: bookmarkVisitCountsConcurrency }, worker));
+
+    return bookmarks
+        .filter(bookmark => bookmarkVisitCounts.get(bookmark.url) > 0)
+        .sort((a, b) => bookmarkVisitCounts.get(b.url) - bookmarkVisitCounts.get(a.url))
+        .slice(0, count);
+}
+
+async function getSmartFolderBookmarks(folder, rootNode) {
+    const count = folder.count || smartFolderDefaults[0].count;
+
+    if (folder.type === "recent") {
+        return bookmarksAPI.getRecent ? bookmarksAPI.getRecent(count) : [];
+    } else if (folder.type === "mostVisited") {
+        return getMostVisitedBookmarks(getAllBookmarks(rootNode), count);
+    } else if (folder.type === "query") {
+        return (await bookmarksAPI.search(folder.match)).filter(node => node.url).slice(0, count);
+    } else if (folder.type === "domain") {
+        return getAllBookmarks(rootNode).filter(node => isBookmarkOnDomain(node.url, folder.match)).slice(0, count);
+    }
+    return [];
+}
+
+// The smart folders that have bookmarks in them, in the order chosen in the menu
+async function displaySmartFolders(rootNode) {
+    const smartNodes = [];
+
+    for (const folder of getSmartFolders().filter(folder => folder.visible)) {
+        try {
+            const bookmarks = await getSmartFolderBookmarks(folder, rootNode);
+            if (bookmarks.length) {
+                smartNodes.push({ smartFolderId: folder.id, title: getSmartFolderTitle(folder), children: bookmarks });
+            }
+        } catch (err) {
+            console.error("Error loading smart folder:", err);
+        }
+    }
+
+    return displayBookmarks(smartNodes, null, true);
+}
+
+document.addEventListener("DOMContentLoaded", function () {
+    const smartFoldersModal = document.getElementById("smartFoldersModal");
+    const smartFoldersOverlay = document.getElementById("smartFoldersOverlay");
+    const smartFoldersEditButton = document.getElementById("smartFoldersEditButton");
+    const closeSmartFoldersBtn = document.getElementById("closeSmartFoldersBtn");
+    const smartFolderList = document.getElementById("smartFolderList");
+    const smartFolderName = document.getElementById("smartFolderName");
+    const smartFolderType = document.getElementById("smartFolderType");
+    const smartFolderMatch = document.getElementById("smartFolderMatch");
+    const smartFolderCount = document.getElementById("smartFolderCount");
+    const clearSmartFolderBtn = document.getElementById("clearSmartFolderBtn");
+    const saveSmartFolderBtn = document.getElementById("saveSmartFolderBtn");
+
+    let editingFolderId = null;
+
+    const getText = (key) => translations[currentLanguage]?.[key] || translations["en"][key];
+
+    function getSmartFolderDescription(folder) {
+        const key = {
+            recent: "smartFolderRecentInfo",
+            mostVisited: "smartFolderMostVisitedInfo",
+            query: "smartFolderQueryInfo",
+            domain: "smartFolderDomainInfo"
+        }[folder.type];
+        return getText(key).replace("{count}", folder.count).replace("{match}", folder.match);
+    }
+
+    // Shows the sidebar with the new settings, if it was drawn already
+    function applySmartFolders(folders) {
+        saveSmartFolders(folders);
+        renderSmartFolderList();
+        if (bookmarkTreeLoaded) scheduleBookmarkRefresh();
+    }
+
+    // Most visited needs the history, which is only asked for when it is turned on
+    async function setSmartFolderVisible(folder, visible) {
+        if (visible && folder.type === "mostVisited" && !getHistoryAPI()) {
+            if (!await requestBrowserPermission("history")) {
+                renderSmartFolderList();
+                return;
+            }
+        }
+
+        applySmartFolders(getSmartFolders().map(f => f.id === folder.id ? { ...f, visible } : f));
+    }
+
+    function moveSmartFolder(index, offset) {
+        const folders = getSmartFolders();
+        [folders[index], folders[index + offset]] = [folders[index + offset], folders[index]];
+        applySmartFolders(folders);
+    }
+
+    function renderSmartFolderList() {
+        const folders = getSmartFolders();
+        smartFolderList.innerHTML = "";
+
+        folders.forEach((folder, index) => {
+            const item = document.createElement("div");
+            item.className = "settings-modal-item";
+            item.classList.toggle("editing", folder.id === editingFolderId);
+
+            const checkbox = document.createElement("input");
+            checkbox.type = "checkbox";
+            checkbox.checked = folder.visible;
+            checkbox.addEventListener("click", (event) => event.stopPropagation());
+            checkbox.addEventListener("change", () => setSmartFolderVisible(folder, checkbox.checked));
+
+            const texts = document.createElement("div");
+            texts.className = "settings-item-texts";
+
+            const title = document.createElement("span");
+            title.className = "settings-item-title";
+            title.textContent = getSmartFolderTitle(folder);
+
+            const subtitle = document.createElement("span");
+            subtitle.className = "settings-item-subtitle";
+            subtitle.textContent = getSmartFolderDescription(folder);
+
+            texts.append(title, subtitle);
+            item.append(checkbox, texts);
+
+            const reorder = document.createElement("div");
+            reorder.className = "smart-folder-reorder";
+            [["▲", -1], ["▼", 1]].forEach(([arrow, offset]) => {
+                const button = document.createElement("button");
+                button.textContent = arrow;
+                button.disabled = !folders[index + offset];
+                button.addEventListener("click", (event) => {
+                    event.stopPropagation();
+                    moveSmartFolder(index, offset);
+                });
+                reorder.appendChild(button);
+            });
+            item.appendChild(reorder);
+
+            // Built-in folders can't be deleted, only hidden
+            if (!smartFolderDefaults.some(f => f.id === folder.id)) {
+                const deleteButton = document.createElement("button");
+                deleteButton.className = "settings-item-delete";
+                deleteButton.textContent = "✖";
+
+                deleteButton.addEventListener("click", async (event) => {
+                    event.stopPropagation();
+                    const confirmMessage = getText("deleteSmartFolder").replace("{title}", folder.name);
+
+                    if (await confirmPrompt(confirmMessage)) {
+                        if (editingFolderId === folder.id) clearForm();
+                        applySmartFolders(getSmartFolders().filter(f => f.id !== folder.id));
+                    }
+                });
+                item.appendChild(deleteButton);
+            }
+
+            // Load the folder into the form for editing
+            item.addEventListener("click", () => {
+                editingFolderId = folder.id;
+                fillForm(folder);
+                renderSmartFolderList();
+                (smartFolderName.hidden ? smartFolderCount : smartFolderName).focus();
+            });
+
+            smartFolderList.appendChild(item);
+        });
+    }
+
+    // Only the size of a built-in folder can be changed
+    function fillForm(folder) {
+        const isBuiltIn = Boolean(folder && smartFolderDefaults.some(f => f.id === folder.id));
+
+        smartFolderName.value = isBuiltIn ? "" : folder?.name || "";
+        smartFolderType.value = isBuiltIn ? "query" : folder?.type || "query";
+        smartFolderMatch.value = isBuiltIn ? "" : folder?.match || "";
+        smartFolderCount.value = folder?.count || "";
+
+        [smartFolderName, smartFolderType, smartFolderMatch].forEach(field => field.hidden = isBuiltIn);
+    }
+
+    function clearForm() {
+        editingFolderId = null;
+        fillForm(null);
+    }
+
+    function openSmartFoldersModal() {
+        clearForm();
+        renderSmartFolderList();
+        smartFoldersModal.style.display = "block";
+        smartFoldersOverlay.style.display = "block";
+    }
+
+    function closeSmartFoldersModal() {
+        smartFoldersModal.style.display = "none";
+        smartFoldersOverlay.style.display = "none";
+    }
+
+    async function saveSmartFolder() {
+        const folders = getSmartFolders();
+        const editing = folders.find(f => f.id === editingFolderId);
+        const isBuiltIn = Boolean(editing && smartFolderDefaults.some(f => f.id === editing.id));
+
+        const name = smartFolderName.value.trim();
+        const type = smartFolderType.value;
+        const match = type === "domain" ? normalizeSmartFolderDomain(smartFolderMatch.value) : smartFolderMatch.value.trim();
+        const count = Math.min(Math.max(parseInt(smartFolderCount.value) || smartFolderDefaults[0].count, 1), maxSmartFolderCount);
+
+        if (!isBuiltIn && (!name || !match)) {
+            await alertPrompt(getText("invalidSmartFolder"));
+            return;
+        }
+
+        const folder = isBuiltIn
+            ? { ...editing, count }
+            : { id: editingFolderId || `smart-${Date.now().toString(36)}`, type, name, match, count, visible: editing?.visible ?? true };
+
+        const index = folders.findIndex(f => f.id === folder.id);
+        if (index !== -1) {
+            folders[index] = folder;
+        } else {
+            folders.push(folder);
+        }
+
+        clearForm();
+        applySmartFolders(folders);
+    }
+
+    smartFoldersEditButton.addEventListener("click", (event) => {
+        event.preventDefault();
+        event.stopPropagation();
+        openSmartFoldersModal();
+    });
+    closeSmartFoldersBtn.addEventListener("click", closeSmartFoldersModal);
+    smartFoldersOverlay.addEventListener("click", closeSmartFoldersModal);
+    clearSmartFolderBtn.addEventListener("click", () => {
+        clearForm();
+        renderSmartFolderList();
+    });
+    saveSmartFolderBtn.addEventListener("click", saveSmartFolder);
+
+    [smartFolderName, smartFolderMatch, smartFolderCount].forEach(input => {
+        input.addEventListener("keydown", (event) => {
+            if (event.key === "Enter") {
+                event.preventDefault();
+                saveSmartFolderBtn.click();
+            }
+        });
+    });
+});
@@ -13,17 +13,38 @@ const bookmarkSidebar = document.getElementById("bookmarkSidebar");
 const bookmarkList = document.getElementById("bookmarkList");
 const bookmarkSearch = document.getElementById("bookmarkSearch");
 const bookmarkSearchClearButton = document.getElementById("clearSearchButton");
+const bookmarkSearchResults = document.getElementById("bookmarkSearchResults");
 const bookmarkViewGrid = document.getElementById("bookmarkViewGrid");
 const bookmarkViewList = document.getElementById("bookmarkViewList");
 const bookmarksCheckbox = document.getElementById("bookmarksCheckbox");
+const smartFoldersField = document.getElementById("smartFoldersField");
+const newBookmarkButton = document.getElementById("newBookmarkButton");
+const newBookmarkFolderButton = document.getElementById("newBookmarkFolderButton");
 
 const editBookmarkModal = document.getElementById("editBookmarkModal");
+const editBookmarkHeading = document.getElementById("editBookmarkHeading");
 const editBookmarkName = document.getElementById("editBookmarkName");
 const editBookmarkURL = document.getElementById("editBookmarkURL");
 const editBookmarkFavicon = document.getElementById("editBookmarkFavicon");
+const editBookmarkFolder = document.getElementById("editBookmarkFolder");
 const saveBookmarkChanges = document.getElementById("saveBookmarkChanges");
 const cancelBookmarkEdit = document.getElementById("cancelBookmarkEdit");
 let currentBookmarkId = null;
+let editingBookmarkFolder = false;
+let draggedBookmarkItem = null;
+
+const bookmarkUndoBar = document.getElementById("bookmarkUndoBar");
+const bookmarkUndoText = document.getElementById("bookmarkUndoText");
+const bookmarkUndoButton = document.getElementById("bookmarkUndoButton");
+let bookmarkUndoAction = null;
+let bookmarkUndoTimer = null;
+
+// The tree is drawn once and then kept up to date from the browser's bookmark events
+let bookmarkTreeLoaded = false;
+let watchingBookmarkChanges = false;
+let bookmarkRefreshTimer = null;
+let smartFoldersList = null;
+const collapsedBookmarkFolders = new Set();
 
 const sortAlphabetical = document.getElementById("sortAlphabetical");
 const sortTimeAdded = document.getElementById("sortTimeAdded");
@@ -63,6 +84,8 @@ document.addEventListener("click", function (event) {
         !bookmarkSidebar.contains(event.target) &&
         !bookmarkButton.contains(event.target) &&
         !editBookmarkModal.contains(event.target) &&
+        !bookmarkUndoBar.contains(event.target) &&
+        !event.target.closest("#bookmarkHealthModal, #bookmarkHealthOverlay, #bookmarkTransferModal, #bookmarkTransferOverlay") &&
         bookmarkSidebar.classList.contains("open")
     ) {
         toggleBookmarkSidebar();
@@ -74,61 +97,138 @@ document.addEventListener("click", function (event) {
 });
 
 // Search Functionality
-bookmarkSearch.addEventListener("input", function () {
-    const searchTerm = bookmarkSearch.value.toLowerCase();
-    const bookmarks = bookmarkList.querySelectorAll("li[data-url], li.folder"); // Include both bookmarks and folders
-
-    Array.from(bookmarks).forEach(function (bookmark) {
-        const text = bookmark.textContent.toLowerCase();
-        const url = bookmark.dataset.url ? bookmark.dataset.url.toLowerCase() : "";
-        const isFolder = bookmark.classList.contains("folder");
-
-        // Show bookmarks if the search term matches either the name or the URL
-        if (!isFolder && (text.includes(searchTerm) || url.includes(searchTerm))) {
-            bookmark.style.display = ""; // Show matching bookmarks
-        } else if (isFolder) {
-            // For folders, check if any child bookmarks match the search
-            const childBookmarks = bookmark.querySelectorAll("li[data-url]");
-            let hasVisibleChild = false;
-            Array.from(childBookmarks).forEach(function (childBookmark) {
-                const childText = childBookmark.textContent.toLowerCase();
-                const childUrl = childBookmark.dataset.url ? childBookmark.dataset.url.toLowerCase() : "";
-                if (childText.includes(searchTerm) || childUrl.includes(searchTerm)) {
-                    hasVisibleChild = true;
-                    childBookmark.style.display = ""; // Show matching child bookmarks
-                } else {
-                    childBookmark.style.display = "none"; // Hide non-matching child bookmarks
-                }
-            });
-
-            if (hasVisibleChild) {
-                bookmark.style.display = ""; // Show folder if it has matching child bookmarks
-                bookmark.classList.add("open"); // Open folder to show matching child bookmarks
-            } else {
-                bookmark.style.display = "none"; // Hide folder if no child matches
-                bookmark.classList.remove("open");
-            }
-        } else {
-            bookmark.style.display = "none"; // Hide non-matching bookmarks
+// Every bookmark with the folders it is in and its shortened address, gathered each time the bookmarks load
+const maxBookmarkResults = 50;
+let bookmarkSearchIndex = [];
+let bookmarkSearchRows = [];
+let activeBookmarkResult = 0;
+
+function buildBookmarkSearchIndex(rootNode) {
+    const index = [];
+
+    const addNodes = (nodes, path) => nodes.forEach(node => {
+        if (node.url) {
+            index.push({ id: node.id, title: node.title || "", url: node.url, displayUrl: getDisplayUrl(node.url), path });
+        } else if (node.children) {
+            addNodes(node.children, path ? `${path} / ${node.title}` : node.title);
         }
     });
+    addNodes(rootNode?.children || [], "");
+
+    return index;
+}
 
-    if (searchTerm === "") {
-        // Reset display for all bookmarks and folders
-        Array.from(bookmarks).forEach(function (bookmark) {
-            bookmark.style.display = "";
-            if (bookmark.classList.contains("folder")) {
-                bookmark.classList.remove("open");
-                const childList = bookmark.querySelector("ul");
-                if (childList) {
-                    childList.classList.add("hidden");
+// Bookmarks ranked by the best of their title, address and folder path, the title counting the most
+function getBookmarkSearchMatches(query) {
+    return bookmarkSearchIndex
+        .map(bookmark => {
+            const matches = {
+                title: fuzzyMatch(query, bookmark.title),
+                url: fuzzyMatch(query, bookmark.displayUrl),
+                path: fuzzyMatch(query, bookmark.path)
+            };
+            const bonus = { title: 20, url: 0, path: -10 };
+
+            let field = null;
+            for (const key of Object.keys(matches)) {
+                if (matches[key] && (!field || matches[key].score + bonus[key] > matches[field].score + bonus[field])) {
+                    field = key;
                 }
             }
-        });
-    }
+            if (!field) return null;
+
+            return { ...bookmark, score: matches[field].score + bonus[field], field, indices: matches[field].indices };
+        })
+        .filter(Boolean)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, maxBookmarkResults);
+}
+
+// While searching, the ranked results take the place of the folders
+function renderBookmarkSearchResults() {
+    const query = bookmarkSearch.value;
+    const isSearching = query.trim() !== "";
+
+    bookmarkList.style.display = isSearching ? "none" : "";
+    bookmarkSearchResults.style.display = isSearching ? "" : "none";
+    bookmarkSearchResults.innerHTML = "";
+    bookmarkSearchRows = isSearching ? getBookmarkSearchMatches(query) : [];
+    activeBookmarkResult = 0;
 
     // Show or hide the clear button based on the search term
-    bookmarkSearchClearButton.style.display = searchTerm ? "inline" : "none";
+    bookmarkSearchClearButton.style.display = query ? "inline" : "none";
+
+    if (!isSearching) return;
+
+    if (!bookmarkSearchRows.length) {
+        const empty = document.createElement("div");
+        empty.className = "bookmark-search-empty";
+        empty.textContent = translations[currentLanguage]?.bookmarkNoResults || translations["en"].bookmarkNoResults;
+        bookmarkSearchResults.appendChild(empty);
+        return;
+    }
+
+    bookmarkSearchRows.forEach((row, index) => {
+        const resultItem = document.createElement("div");
+        resultItem.className = "resultItem";
+        resultItem.setAttribute("role", "option");
+
+        const favicon = document.createElement("img");
+        favicon.className = "resultIcon";
+        favicon.alt = "";
+        setBookmarkFavicon(favicon, row.url);
+
+        const texts = document.createElement("div");
+        texts.className = "resultText";
+
+        const title = document.createElement("span");
+        title.appendChild(highlightFuzzyMatch(row.title || row.displayUrl, row.field === "title" ? row.indices : []));
+
+        const description = document.createElement("span");
+        description.className = "resultDescription";
+        if (row.path) {
+            description.appendChild(highlightFuzzyMatch(row.path, row.field === "path" ? row.indices : []));
+            description.appendChild(document.createTextNode(" · "));
+        }
+        description.appendChild(highlightFuzzyMatch(row.displayUrl, row.field === "url" ? row.indices : []));
+
+        texts.append(title, description);
+        resultItem.append(favicon, texts);
+
+        resultItem.addEventListener("mouseenter", () => setActiveBookmarkResult(index));
+        resultItem.addEventListener("click", (event) => openBookmarkUrl(row.url, event.ctrlKey || event.metaKey));
+        bookmarkSearchResults.appendChild(resultItem);
+    });
+
+    setActiveBookmarkResult(0);
+}
+
+function setActiveBookmarkResult(index) {
+    const items = bookmarkSearchResults.querySelectorAll(".resultItem");
+    if (!items.length) return;
+
+    activeBookmarkResult = (index + items.length) % items.length;
+    items.forEach((item, i) => item.classList.toggle("active", i === activeBookmarkResult));
+    items[activeBookmarkResult].scrollIntoView?.({ block: "nearest" });
+}
+
+bookmarkSearch.addEventListener("input", renderBookmarkSearchResults);
+
+// Arrows pick a result and Enter opens it, in a background tab with Ctrl or Cmd
+bookmarkSearch.addEventListener("keydown", function (event) {
+    if (event.key === "ArrowDown" || event.key === "ArrowUp") {
+        if (!bookmarkSearchRows.length) return;
+        event.preventDefault();
+        setActiveBookmarkResult(activeBookmarkResult + (event.key === "ArrowDown" ? 1 : -1));
+    } else if (event.key === "Enter") {
+        const row = bookmarkSearchRows[activeBookmarkResult];
+        if (!row) return;
+        event.preventDefault();
+        openBookmarkUrl(row.url, event.ctrlKey || event.metaKey);
+    } else if (event.key === "Escape" && bookmarkSearch.value) {
+        event.preventDefault();
+        bookmarkSearchClearButton.click();
+    }
 });
 
 // Sorting functionality
@@ -164,11 +264,13 @@ bookmarkSearchClearButton.addEventListener("click", function () {
 function updateBookmarkUI(enabled) {
     bookmarksCheckbox.checked = enabled;
     bookmarkButton.style.display = enabled ? "flex" : "none";
+    smartFoldersField.classList.toggle("inactive", !enabled);
     saveDisplayStatus("bookmarksDisplayStatus", enabled ? "flex" : "none");
     saveCheckboxState("bookmarksCheckboxState", bookmarksCheckbox);
 }
 
-async function verifyBookmarkPermission() {
+// Asks for the bookmarks permission where the browser needs it, without changing the sidebar setting
+async function requestBookmarkPermission() {
     // Early exit for unsupported browsers
     let bookmarksPermission;
     if (isFirefox) bookmarksPermission = browser.permissions;
@@ -177,15 +279,11 @@ async function verifyBookmarkPermission() {
     if (!bookmarksPermission) {
         await alertPrompt(translations[currentLanguage]?.UnsupportedBrowser ||
             translations['en'].UnsupportedBrowser);
-        updateBookmarkUI(false);
         return false;
     }
 
     // Firefox always has permission
-    if (isFirefox) {
-        updateBookmarkUI(true);
-        return true;
-    }
+    if (isFirefox) return true;
 
     // Chromium-based browsers
     // Opera doesn't have favicon permission yet
@@ -198,18 +296,19 @@ async function verifyBookmarkPermission() {
         const granted = await new Promise(resolve =>
             chrome.permissions.request({ permissions: requiredPermissions }, resolve));
 
-        if (!granted) {
-            updateBookmarkUI(false);
-            return false;
-        }
+        if (!granted) return false;
         bookmarksAPI = chrome.bookmarks; // Initialize if just granted
     }
 
-    // Success case
-    updateBookmarkUI(true);
     return true;
 }
 
+async function verifyBookmarkPermission() {
+    const hasPermission = await requestBookmarkPermission();
+    updateBookmarkUI(hasPermission);
+    return hasPermission;
+}
+
 async function toggleBookmarkSidebar() {
     const hasPermission = await verifyBookmarkPermission();
     if (hasPermission) {
@@ -217,34 +316,32 @@ async function toggleBookmarkSidebar() {
         bookmarkButton.classList.toggle("rotate");
 
         if (bookmarkSidebar.classList.contains("open")) {
-            loadBookmarks();
+            if (!bookmarkTreeLoaded) {
+                loadBookmarks();
+            } else {
+                // Most visited changes with browsing, which bookmark events don't report
+                scheduleBookmarkRefresh();
+            }
         }
     }
 }
 
 // Function to load bookmarks
+// Draws the whole tree, keeping the folders that were closed, the scroll position and the search
 function loadBookmarks() {
     if (!bookmarksAPI?.getTree) {
         console.error("Bookmarks API is unavailable. Please check permissions or context.");
         return;
     }
+    watchBookmarkChanges();
 
-    bookmarksAPI.getTree().then(bookmarkTreeNodes => {
-        // Clear the current list
-        bookmarkList.innerHTML = "";
-
-        // Display the "Recently Added" folder
-        if (bookmarksAPI.getRecent) {
-            bookmarksAPI.getRecent(8).then(recentBookmarks => {
-                if (recentBookmarks.length > 0) {
-                    const recentAddedFolder = {
-                        title: "Recently Added",
-                        children: recentBookmarks
-                    };
-                    bookmarkList.appendChild(displayBookmarks([recentAddedFolder]));
-                }
-            });
-        }
+    bookmarksAPI.getTree().then(async bookmarkTreeNodes => {
+        const scrollTop = bookmarkList.scrollTop;
+        const lists = [];
+
+        // Keep the search up to date with the bookmarks
+        bookmarkSearchIndex = buildBookmarkSearchIndex(bookmarkTreeNodes[0]);
+        if (bookmarkSearch.value.trim()) renderBookmarkSearchResults();
 
         // For Firefox: "Bookmarks Menu" and "Other Bookmarks" are distinct nodes
         if (isFirefox) {
@@ -252,9 +349,9 @@ function loadBookmarks() {
             const menuNode = bookmarkTreeNodes[0]?.children?.find(node => node.title === "Bookmarks Menu");
             const otherNode = bookmarkTreeNodes[0]?.children?.find(node => node.title === "Other Bookmarks");
 
-            if (toolbarNode?.children) bookmarkList.appendChild(displayBookmarks(toolbarNode.children));
-            if (menuNode?.children) bookmarkList.appendChild(displayBookmarks(menuNode.children));
-            if (otherNode?.children) bookmarkList.appendChild(displayBookmarks(otherNode.children));
+            if (toolbarNode?.children) lists.push(displayBookmarks(toolbarNode.children, toolbarNode.id));
+            if (menuNode?.children) lists.push(displayBookmarks(menuNode.children, menuNode.id));
+            if (otherNode?.children) lists.push(displayBookmarks(otherNode.children, otherNode.id));
         }
         else {
             let default_folder = "Bookmarks bar";
@@ -272,21 +369,142 @@ function loadBookmarks() {
 
             // If the default folder has children, display its bookmarks
             if (mainBookmarks?.children) {
-                bookmarkList.appendChild(displayBookmarks(mainBookmarks.children));
+                lists.push(displayBookmarks(mainBookmarks.children, mainBookmarks.id));
             }
 
             // Process all other root-level folders
             rootChildren.forEach(node => {
                 if (node !== mainBookmarks && node.id !== "1" && node.children) {
-                    bookmarkList.appendChild(displayBookmarks([node]));
+                    lists.push(displayBookmarks([node]));
                 }
             });
         }
+
+        // Display the smart folders, like "Recently Added"
+        smartFoldersList = await displaySmartFolders(bookmarkTreeNodes[0]);
+        lists.push(smartFoldersList);
+
+        bookmarkList.replaceChildren(...lists);
+        bookmarkList.scrollTo({ top: scrollTop, behavior: "instant" });
+        bookmarkTreeLoaded = true;
     }).catch(err => {
         console.error("Error loading bookmarks:", err);
     });
 }
 
+// ------------------------ Live Updates -----------------------------------
+// Changes from this page, other windows or the browser itself are patched into the drawn tree
+function watchBookmarkChanges() {
+    if (watchingBookmarkChanges || !bookmarksAPI?.onCreated) return;
+    watchingBookmarkChanges = true;
+
+    bookmarksAPI.onCreated.addListener(function (id, node) {
+        if (!bookmarkTreeLoaded) return;
+
+        const list = getBookmarkFolderList(node.parentId);
+        if (list) {
+            insertBookmarkItem(list, node.url ? createBookmarkItem(node) : createBookmarkFolderItem({ ...node, children: node.children || [] }));
+        }
+        scheduleBookmarkRefresh();
+    });
+
+    bookmarksAPI.onChanged.addListener(async function (id) {
+        if (!bookmarkTreeLoaded) return;
+        scheduleBookmarkRefresh();
+        if (!bookmarkList.querySelector(`li[data-id="${id}"]`)) return;
+
+        try {
+            const [node] = await bookmarksAPI.getSubTree(id);
+            bookmarkList.querySelectorAll(`li[data-id="${id}"]`).forEach(item => {
+                const updated = node.url ? createBookmarkItem(node) : createBookmarkFolderItem(node);
+                item.replaceWith(updated);
+                if (updated.parentElement.dataset.folderId) insertBookmarkItem(updated.parentElement, updated);
+            });
+        } catch (err) {
+            console.error("Error updating bookmark:", err);
+        }
+    });
+
+    bookmarksAPI.onRemoved.addListener(function (id) {
+        if (!bookmarkTreeLoaded) return;
+
+        bookmarkList.querySelectorAll(`li[data-id="${id}"]`).forEach(item => item.remove());
+        scheduleBookmarkRefresh();
+    });
+
+    bookmarksAPI.onMoved.addListener(async function (id, moveInfo) {
+        if (!bookmarkTreeLoaded) return;
+
+        const list = getBookmarkFolderList(moveInfo.parentId);
+        const items = [...bookmarkList.querySelectorAll(`li[data-id="${id}"]`)];
+        items.forEach(item => item.dataset.parentId = moveInfo.parentId);
+
+        // The copy in a folder goes to the new folder, the ones in smart folders stay
+        const item = items.find(item => item.parentElement.dataset.folderId);
+        if (item && list) {
+            insertBookmarkItem(list, item);
+        } else if (item) {
+            item.remove();
+        } else if (list) {
+            try {
+                const [node] = await bookmarksAPI.getSubTree(id);
+                insertBookmarkItem(list, node.url ? createBookmarkItem(node) : createBookmarkFolderItem(node));
+            } catch (err) {
+                console.error("Error loading moved bookmark:", err);
+            }
+        }
+        scheduleBookmarkRefresh();
+    });
+
+    // Chromium reports every bookmark of an import, so it is drawn once at the end
+    bookmarksAPI.onImportEnded?.addListener(loadBookmarks);
+}
+
+// The list of a folder's items, if it is drawn
+function getBookmarkFolderList(folderId) {
+    return bookmarkList.querySelector(`ul[data-folder-id="${folderId}"]`);
+}
+
+// Puts an item where the sort order has it among the others in a list, bookmarks before folders
+function insertBookmarkItem(list, item) {
+    const isFolder = item.classList.contains("folder");
+    const sortKey = li => ({ title: li.dataset.title || "", dateAdded: Number(li.dataset.dateAdded) || 0 });
+
+    const next = [...list.children].find(sibling => {
+        if (sibling === item) return false;
+        if (sibling.classList.contains("folder") !== isFolder) return !isFolder;
+        return compareBookmarkNodes(sortKey(item), sortKey(sibling)) < 0;
+    });
+    list.insertBefore(item, next || null);
+}
+
+// Events often come in bursts, so the search and the smart folders catch up once they settle
+function scheduleBookmarkRefresh() {
+    clearTimeout(bookmarkRefreshTimer);
+    bookmarkRefreshTimer = setTimeout(refreshBookmarkSearchAndSmartFolders, 100);
+}
+
+async function refreshBookmarkSearchAndSmartFolders() {
+    try {
+        const [rootNode] = await bookmarksAPI.getTree();
+
+        bookmarkSearchIndex = buildBookmarkSearchIndex(rootNode);
+        if (bookmarkSearch.value.trim()) {
+            // Stay on the result that was picked
+            const activeId = bookmarkSearchRows[activeBookmarkResult]?.id;
+            renderBookmarkSearchResults();
+            const index = bookmarkSearchRows.findIndex(row => row.id === activeId);
+            if (index > 0) setActiveBookmarkResult(index);
+        }
+
+        const updatedList = await displaySmartFolders(rootNode);
+        smartFoldersList?.replaceWith(updatedList);
+        smartFoldersList = updatedList;
+    } catch (err) {
+        console.error("Error refreshing bookmarks:", err);
+    }
+}
+
 // Function to set the favicon for a bookmark
 function setBookmarkFavicon(faviconElement, pageUrl) {
     // Final fallback to local offline icon
@@ -307,20 +525,28 @@ function setBookmarkFavicon(faviconElement, pageUrl) {
     }
 }
 
-function displayBookmarks(bookmarkNodes) {
+// Folders and bookmarks are each sorted by title or by when they were added
+function compareBookmarkNodes(a, b) {
+    if (currentSortMethod === 'title') {
+        return a.title.localeCompare(b.title);
+    }
+    return (a.dateAdded || 0) - (b.dateAdded || 0);
+}
+
+// The list gets the id of the folder it shows, so changes to that folder can find it.
+// Smart folders keep their own order, like the most visited bookmarks first.
+function displayBookmarks(bookmarkNodes, folderId = null, keepOrder = false) {
     let list = document.createElement("ul");
+    if (folderId) list.dataset.folderId = folderId;
 
     // Separate folders and bookmarks
-    const folders = bookmarkNodes.filter(node => node.children && node.children.length > 0);
+    const folders = bookmarkNodes.filter(node => !node.url && node.children);
     const bookmarks = bookmarkNodes.filter(node => node.url);
 
     // Sorting folders and bookmarks separately by title or dateAdded
-    if (currentSortMethod === 'title') {
-        folders.sort((a, b) => a.title.localeCompare(b.title));
-        bookmarks.sort((a, b) => a.title.localeCompare(b.title));
-    } else {
-        folders.sort((a, b) => (a.dateAdded || 0) - (b.dateAdded || 0));
-        bookmarks.sort((a, b) => (a.dateAdded || 0) - (b.dateAdded || 0));
+    if (!keepOrder) {
+        folders.sort(compareBookmarkNodes);
+        bookmarks.sort(compareBookmarkNodes);
     }
 
     // Combine folders and bookmarks
@@ -329,116 +555,292 @@ function displayBookmarks(bookmarkNodes) {
     for (let node of sortedNodes) {
         if (node.id === "1") continue;
 
-        if (node.children && node.children.length > 0) {
-            let folderItem = document.createElement("li");
+        list.appendChild(node.url ? createBookmarkItem(node) : createBookmarkFolderItem(node));
+    }
 
-            folderItem.dataset.id = node.id; // Add ID as dataset for context menu
+    list.addEventListener("click", function (event) {
+        event.stopPropagation();
+    });
 
-            // Use the SVG icon from HTML
-            const folderIcon = document.getElementById("folderIconTemplate").cloneNode(true);
-            folderIcon.removeAttribute("id"); // Remove the id to prevent duplicates
-            folderItem.appendChild(folderIcon);
+    return list;
+}
 
-            folderItem.appendChild(document.createTextNode(node.title));
-            folderItem.classList.add("folder", "open");
+function createBookmarkFolderItem(node) {
+    let folderItem = document.createElement("li");
+    const folderKey = node.id || node.smartFolderId;
+    const isOpen = !collapsedBookmarkFolders.has(folderKey);
+
+    // Smart folders like "Recently Added" aren't real ones, so they can't be edited or dropped on
+    if (node.id) {
+        folderItem.dataset.id = node.id; // Add ID as dataset for context menu
+        folderItem.dataset.title = node.title;
+        folderItem.dataset.parentId = node.parentId;
+        folderItem.dataset.dateAdded = node.dateAdded || 0;
+        folderItem.draggable = true;
+    }
 
-            // Add event listener for unfolding/folding
-            folderItem.addEventListener("click", function (event) {
-                event.stopPropagation();
-                folderItem.classList.toggle("open");
-                const subList = folderItem.querySelector("ul");
-                if (subList) {
-                    subList.classList.toggle("hidden");
-                }
-            });
+    // Use the SVG icon from HTML
+    const folderIcon = document.getElementById("folderIconTemplate").cloneNode(true);
+    folderIcon.removeAttribute("id"); // Remove the id to prevent duplicates
+    folderItem.appendChild(folderIcon);
 
-            let subList = displayBookmarks(node.children);
-            folderItem.appendChild(subList);
-
-            list.appendChild(folderItem);
-        } else if (node.url) {
-            let item = document.createElement("li");
-            item.dataset.id = node.id; // Add ID as dataset for context menu
-            item.dataset.url = node.url; // Add URL as dataset for search functionality
-            let link = document.createElement("a");
-            link.href = node.url;
-            let span = document.createElement("span");
-            span.textContent = node.title;
-
-            const favicon = document.createElement("img");
-            setBookmarkFavicon(favicon, node.url);
-            favicon.classList.add("favicon");
-
-            // Create the delete button
-            let deleteButton = document.createElement("button");
-            deleteButton.textContent = "✖";
-            deleteButton.classList.add("bookmark-delete-button");
-
-            deleteButton.addEventListener("click", async function (event) {
-                event.preventDefault();
-                event.stopPropagation();
-
-                const confirmMessage = (translations[currentLanguage]?.deleteBookmark || translations["en"].deleteBookmark)
-                    .replace("{title}", node.title || node.url);
-
-                if (await confirmPrompt(confirmMessage)) {
-                    if (isFirefox) {
-                        // Firefox API (Promise-based)
-                        bookmarksAPI.remove(node.id).then(() => {
-                            item.remove(); // Remove the item from the DOM
-                        }).catch(err => {
-                            console.error("Error removing bookmark:", err);
-                        });
-                    } else {
-                        // Chrome API (Callback-based)
-                        bookmarksAPI.remove(node.id, function () {
-                            item.remove(); // Remove the item from the DOM
-                        });
-                    }
-                }
-            });
+    folderItem.appendChild(document.createTextNode(node.title));
+    folderItem.classList.add("folder");
+    folderItem.classList.toggle("open", isOpen);
 
-            link.appendChild(favicon);
-            link.appendChild(span);
-            item.appendChild(link);
-            item.appendChild(deleteButton); // Add delete button to the item
-
-            // Open links in the current tab or new tab if ctrl pressed
-            link.addEventListener("click", function (event) {
-                if (event.ctrlKey || event.metaKey) {
-                    // Open in a new tab
-                    event.preventDefault();
-                    if (isFirefox) {
-                        browser.tabs.create({ url: node.url, active: false });
-                    } else if (isChromiumBased) {
-                        chrome.tabs.create({ url: node.url, active: false });
-                    } else {
-                        window.open(node.url, "_blank");
-                    }
-                } else {
-                    // Open in the current tab
-                    event.preventDefault();
-                    if (isFirefox) {
-                        browser.tabs.update({ url: node.url });
-                    } else if (isChromiumBased) {
-                        chrome.tabs.update({ url: node.url }, function () {
-                        });
-                    } else {
-                        window.location.href = node.url;
-                    }
-                }
+    if (node.id) {
+        folderItem.appendChild(createBookmarkPinButton(node));
+        folderItem.appendChild(createBookmarkDeleteButton(node));
+    }
+
+    // Add event listener for unfolding/folding, remembered while the page is open
+    folderItem.addEventListener("click", function (event) {
+        event.stopPropagation();
+        folderItem.classList.toggle("open");
+        const subList = folderItem.querySelector("ul");
+        if (subList) {
+            subList.classList.toggle("hidden");
+        }
+
+        if (folderItem.classList.contains("open")) {
+            collapsedBookmarkFolders.delete(folderKey);
+        } else {
+            collapsedBookmarkFolders.add(folderKey);
+        }
+    });
+
+    let subList = displayBookmarks(node.children, node.id, Boolean(node.smartFolderId));
+    subList.classList.toggle("hidden", !isOpen);
+    folderItem.appendChild(subList);
+
+    return folderItem;
+}
+
+function createBookmarkItem(node) {
+    let item = document.createElement("li");
+    item.dataset.id = node.id; // Add ID as dataset for context menu
+    item.dataset.url = node.url; // Add URL as dataset for search functionality
+    item.dataset.title = node.title;
+    item.dataset.parentId = node.parentId;
+    item.dataset.dateAdded = node.dateAdded || 0;
+    item.draggable = true;
+    let link = document.createElement("a");
+    link.href = node.url;
+    let span = document.createElement("span");
+    span.textContent = node.title;
+
+    const favicon = document.createElement("img");
+    setBookmarkFavicon(favicon, node.url);
+    favicon.classList.add("favicon");
+
+    link.appendChild(favicon);
+    link.appendChild(span);
+    item.appendChild(link);
+    item.appendChild(createBookmarkDeleteButton(node)); // Add delete button to the item
+
+    // Open links in the current tab or new tab if ctrl pressed
+    link.addEventListener("click", function (event) {
+        event.preventDefault();
+        openBookmarkUrl(node.url, event.ctrlKey || event.metaKey);
+    });
+
+    return item;
+}
+
+function openBookmarkUrl(url, inBackground) {
+    if (inBackground) {
+        // Open in a new tab
+        if (isFirefox) {
+            browser.tabs.create({ url, active: false });
+        } else if (isChromiumBased) {
+            chrome.tabs.create({ url, active: false });
+        } else {
+            window.open(url, "_blank");
+        }
+    } else {
+        // Open in the current tab
+        if (isFirefox) {
+            browser.tabs.update({ url });
+        } else if (isChromiumBased) {
+            chrome.tabs.update({ url }, function () {
             });
-            list.appendChild(item);
+        } else {
+            window.location.href = url;
         }
     }
+}
 
-    list.addEventListener("click", function (event) {
+function createBookmarkDeleteButton(node) {
+    let deleteButton = document.createElement("button");
+    deleteButton.textContent = "✖";
+    deleteButton.classList.add("bookmark-delete-button");
+
+    deleteButton.addEventListener("click", function (event) {
+        event.preventDefault();
         event.stopPropagation();
+        deleteBookmarkNode(node);
     });
 
-    return list;
+    return deleteButton;
+}
+
+// Pins a folder to the home screen as a card, or takes it off again
+function createBookmarkPinButton(node) {
+    const pinButton = document.createElement("button");
+    pinButton.classList.add("bookmark-pin-button");
+    pinButton.appendChild(createPinIcon());
+    updateBookmarkPinButton(pinButton, isBookmarkFolderPinned(node.id));
+
+    pinButton.addEventListener("click", function (event) {
+        event.preventDefault();
+        event.stopPropagation();
+        toggleBookmarkFolderPin(node.id);
+    });
+
+    return pinButton;
+}
+
+function updateBookmarkPinButton(pinButton, pinned) {
+    const key = pinned ? "unpinBookmarkFolder" : "pinBookmarkFolder";
+    pinButton.classList.toggle("pinned", pinned);
+    pinButton.title = translations[currentLanguage]?.[key] || translations["en"][key];
 }
 
+// Deletes a bookmark, or a folder with everything in it, and offers to bring it back
+async function deleteBookmarkNode(node) {
+    const isFolder = !node.url;
+    const promptKey = isFolder ? "deleteBookmarkFolder" : "deleteBookmark";
+    const confirmMessage = (translations[currentLanguage]?.[promptKey] || translations["en"][promptKey])
+        .replace("{title}", node.title || node.url);
+
+    if (!await confirmPrompt(confirmMessage)) return;
+
+    try {
+        // Read it again so the undo puts back what is there now, in the same place
+        const [removed] = await bookmarksAPI.getSubTree(node.id);
+        if (isFolder) {
+            await bookmarksAPI.removeTree(node.id);
+        } else {
+            await bookmarksAPI.remove(node.id);
+        }
+
+        const undoKey = isFolder ? "bookmarkFolderDeleted" : "bookmarkDeleted";
+        showBookmarkUndo(
+            (translations[currentLanguage]?.[undoKey] || translations["en"][undoKey]).replace("{title}", node.title || node.url),
+            () => restoreBookmarkNode(removed, removed.parentId, removed.index)
+        );
+    } catch (err) {
+        console.error("Error removing bookmark:", err);
+    }
+}
+
+// Creates a removed bookmark or folder again, with all that was inside it
+async function restoreBookmarkNode(node, parentId, index) {
+    const details = { parentId, index, title: node.title };
+    if (node.url) details.url = node.url;
+    else if (node.type === "separator") details.type = "separator"; // Firefox only
+
+    const created = await bookmarksAPI.create(details);
+    for (const child of node.children || []) {
+        await restoreBookmarkNode(child, created.id);
+    }
+    return created;
+}
+
+// ------------------------ Undo -----------------------------------
+// Only the latest change can be undone, for a few seconds
+function showBookmarkUndo(message, undo) {
+    bookmarkUndoAction = undo;
+    bookmarkUndoText.textContent = message;
+    bookmarkUndoBar.style.display = "flex";
+
+    clearTimeout(bookmarkUndoTimer);
+    bookmarkUndoTimer = setTimeout(hideBookmarkUndo, 10000);
+}
+
+function hideBookmarkUndo() {
+    clearTimeout(bookmarkUndoTimer);
+    bookmarkUndoAction = null;
+    bookmarkUndoBar.style.display = "none";
+}
+
+bookmarkUndoButton.addEventListener("click", async function () {
+    const undo = bookmarkUndoAction;
+    hideBookmarkUndo();
+    if (!undo) return;
+
+    try {
+        await undo();
+    } catch (err) {
+        console.error("Error undoing the bookmark change:", err);
+    }
+});
+
+// ------------------------ Moving -----------------------------------
+// The folder a dragged bookmark would go into, when it can: not itself, not inside itself and not where it already is
+function getBookmarkDropFolder(target) {
+    const folder = target.closest?.("li.folder[data-id]");
+    if (!folder || !draggedBookmarkItem) return null;
+    if (draggedBookmarkItem.contains(folder) || folder.dataset.id === draggedBookmarkItem.dataset.parentId) return null;
+    return folder;
+}
+
+function clearBookmarkDropTarget() {
+    bookmarkList.querySelectorAll(".bookmark-drop-target").forEach(folder => folder.classList.remove("bookmark-drop-target"));
+}
+
+async function moveBookmark(id, parentId) {
+    try {
+        const [original] = await bookmarksAPI.get(id);
+        await bookmarksAPI.move(id, { parentId });
+
+        showBookmarkUndo(
+            (translations[currentLanguage]?.bookmarkMoved || translations["en"].bookmarkMoved).replace("{title}", original.title || original.url),
+            () => bookmarksAPI.move(id, { parentId: original.parentId, index: original.index })
+        );
+    } catch (err) {
+        console.error("Error moving bookmark:", err);
+    }
+}
+
+bookmarkList.addEventListener("dragstart", function (event) {
+    const item = event.target.closest?.("li[data-id]");
+    if (!item) return;
+
+    draggedBookmarkItem = item;
+    event.dataTransfer.effectAllowed = "move";
+    event.dataTransfer.setData("text/plain", item.dataset.url || item.dataset.title);
+});
+
+bookmarkList.addEventListener("dragover", function (event) {
+    const folder = getBookmarkDropFolder(event.target);
+    if (!folder?.classList.contains("bookmark-drop-target")) clearBookmarkDropTarget();
+    if (!folder) return;
+
+    event.preventDefault();
+    event.dataTransfer.dropEffect = "move";
+    folder.classList.add("bookmark-drop-target");
+});
+
+bookmarkList.addEventListener("dragleave", function (event) {
+    if (!bookmarkList.contains(event.relatedTarget)) clearBookmarkDropTarget();
+});
+
+bookmarkList.addEventListener("drop", function (event) {
+    const folder = getBookmarkDropFolder(event.target);
+    const item = draggedBookmarkItem;
+    clearBookmarkDropTarget();
+    if (!folder) return;
+
+    event.preventDefault();
+    moveBookmark(item.dataset.id, folder.dataset.id);
+});
+
+bookmarkList.addEventListener("dragend", function () {
+    clearBookmarkDropTarget();
+    draggedBookmarkItem = null;
+});
+
 // Right-click (context menu) event
 bookmarkList.addEventListener("contextmenu", function (event) {
     event.preventDefault(); // Prevent default right-click menu
@@ -446,53 +848,126 @@ bookmarkList.addEventListener("contextmenu", function (event) {
     const bookmarkItem = event.target.closest("li[data-id]");
     if (!bookmarkItem) return;
 
-    currentBookmarkId = bookmarkItem.dataset.id;
-    const bookmarkTitle = bookmarkItem.querySelector("a").textContent.trim();
-    const bookmarkURL = bookmarkItem.dataset.url;
+    openBookmarkModal({
+        id: bookmarkItem.dataset.id,
+        title: bookmarkItem.dataset.title,
+        url: bookmarkItem.dataset.url,
+        parentId: bookmarkItem.dataset.parentId,
+        isFolder: bookmarkItem.classList.contains("folder")
+    });
+});
 
-    // Populate modal fields
-    editBookmarkName.value = bookmarkTitle;
-    editBookmarkURL.value = bookmarkURL;
-    setBookmarkFavicon(editBookmarkFavicon, bookmarkURL);
+newBookmarkButton.title = translations[currentLanguage]?.newBookmark || translations["en"].newBookmark;
+newBookmarkFolderButton.title = translations[currentLanguage]?.newBookmarkFolder || translations["en"].newBookmarkFolder;
 
-    // Show modal
-    editBookmarkModal.style.display = "block";
-    saveBookmarkChanges.disabled = false;
+newBookmarkButton.addEventListener("click", function () {
+    openBookmarkModal({});
 });
 
-// Disable save button if URL is empty
-editBookmarkURL.addEventListener("input", () => {
-    saveBookmarkChanges.disabled = editBookmarkURL.value.trim() === "";
+newBookmarkFolderButton.addEventListener("click", function () {
+    openBookmarkModal({ isFolder: true });
 });
 
-// Save button action
-saveBookmarkChanges.onclick = function () {
-    if (!currentBookmarkId) return;
+// New bookmarks go to the bookmarks bar, or the bookmarks toolbar in Firefox
+async function getDefaultBookmarkFolderId() {
+    if (isFirefox) return "toolbar_____";
 
-    const updatedTitle = editBookmarkName.value.trim();
-    const updatedURL = encodeURI(editBookmarkURL.value.trim());
+    const [root] = await bookmarksAPI.getTree();
+    const mainBookmarks = root.children?.find(node => node.folderType === "bookmarks-bar") || root.children?.[0];
+    return mainBookmarks?.id;
+}
 
-    const updatedData = { title: updatedTitle, url: updatedURL };
+// Lists every folder by its path in a select, leaving out a folder that is being moved and the ones inside it
+async function fillBookmarkFolderSelect(select, selectedId, excludedId = null) {
+    const [root] = await bookmarksAPI.getTree();
+    select.innerHTML = "";
 
-    if (isFirefox) {
-        bookmarksAPI.update(currentBookmarkId, updatedData).then(() => {
-            updateBookmark(currentBookmarkId, updatedTitle, updatedURL);
-            editBookmarkModal.style.display = "none";
-        }).catch(err => {
-            console.error("Error updating bookmark:", err);
-        });
-    } else {
-        bookmarksAPI.update(currentBookmarkId, updatedData, function () {
-            if (chrome.runtime.lastError) {
-                console.error("Error updating bookmark:", chrome.runtime.lastError);
-                return;
-            }
-            updateBookmark(currentBookmarkId, updatedTitle, updatedURL);
-            editBookmarkModal.style.display = "none";
-        });
+    const addFolders = (nodes, path) => nodes.forEach(node => {
+        if (node.url || !node.children || node.unmodifiable || node.id === excludedId) return;
+
+        const option = document.createElement("option");
+        option.value = node.id;
+        option.textContent = path ? `${path} / ${node.title}` : node.title;
+        select.appendChild(option);
+
+        addFolders(node.children, option.textContent);
+    });
+    addFolders(root.children || [], "");
+
+    select.value = selectedId;
+}
+
+// Opens the modal to edit a bookmark or folder, or to create one when there is no id
+async function openBookmarkModal({ id = null, title = "", url = "", parentId = null, isFolder = false }) {
+    currentBookmarkId = id;
+    editingBookmarkFolder = isFolder;
+
+    const headingKey = id
+        ? (isFolder ? "editFolderHeading" : "editBookmarkHeading")
+        : (isFolder ? "newFolderHeading" : "newBookmarkHeading");
+    editBookmarkHeading.textContent = translations[currentLanguage]?.[headingKey] || translations["en"][headingKey];
+
+    // Populate modal fields
+    editBookmarkName.value = title;
+    editBookmarkURL.value = url;
+    editBookmarkURL.parentElement.style.display = isFolder ? "none" : "";
+    editBookmarkFavicon.style.display = url ? "" : "none";
+    if (url) setBookmarkFavicon(editBookmarkFavicon, url);
+
+    try {
+        await fillBookmarkFolderSelect(editBookmarkFolder, parentId || await getDefaultBookmarkFolderId(), isFolder ? id : null);
+    } catch (err) {
+        console.error("Error loading bookmark folders:", err);
     }
 
-    loadBookmarks();
+    // Show modal
+    editBookmarkModal.style.display = "block";
+    updateBookmarkSaveButton();
+    editBookmarkName.focus();
+}
+
+// A bookmark needs a URL and a folder needs a name
+function updateBookmarkSaveButton() {
+    const requiredField = editingBookmarkFolder ? editBookmarkName : editBookmarkURL;
+    saveBookmarkChanges.disabled = requiredField.value.trim() === "";
+}
+
+editBookmarkName.addEventListener("input", updateBookmarkSaveButton);
+editBookmarkURL.addEventListener("input", updateBookmarkSaveButton);
+
+// Save button action
+saveBookmarkChanges.onclick = async function () {
+    const title = editBookmarkName.value.trim();
+    const parentId = editBookmarkFolder.value;
+
+    // Keep addresses like "ftp://" or "javascript:" as they are, and add https:// to the ones
+    // typed without it, "localhost:3000" included
+    const typedURL = editBookmarkURL.value.trim();
+    const url = editingBookmarkFolder ? null
+        : /^([a-z][a-z\d+.-]*:\/\/|(javascript|mailto|data|about|tel):)/i.test(typedURL) ? encodeURI(typedURL) : normalizeUrl(typedURL);
+
+    try {
+        if (!currentBookmarkId) {
+            await bookmarksAPI.create(url ? { parentId, title, url } : { parentId, title });
+        } else {
+            const [original] = await bookmarksAPI.get(currentBookmarkId);
+            await bookmarksAPI.update(currentBookmarkId, url ? { title, url } : { title });
+            if (parentId && parentId !== original.parentId) {
+                await bookmarksAPI.move(currentBookmarkId, { parentId });
+            }
+
+            showBookmarkUndo(
+                (translations[currentLanguage]?.bookmarkEdited || translations["en"].bookmarkEdited).replace("{title}", title || url),
+                async () => {
+                    await bookmarksAPI.update(original.id, original.url ? { title: original.title, url: original.url } : { title: original.title });
+                    await bookmarksAPI.move(original.id, { parentId: original.parentId, index: original.index });
+                }
+            );
+        }
+        editBookmarkModal.style.display = "none";
+    } catch (err) {
+        console.error("Error saving bookmark:", err);
+    }
 };
 
 // Cancel button action
@@ -500,22 +975,15 @@ cancelBookmarkEdit.onclick = function () {
     editBookmarkModal.style.display = "none";
 };
 
-// Function to update after edit
-function updateBookmark(bookmarkId, title, url) {
-    const bookmarkItem = document.querySelector(`li[data-id="${bookmarkId}"]`);
-    if (bookmarkItem) {
-        const link = bookmarkItem.querySelector("a");
-        link.textContent = title;
-        link.href = url;
-        bookmarkItem.dataset.url = url;
-    }
-}
-
 // Move focus to URL field when Enter is pressed in Name field
 editBookmarkName.addEventListener("keydown", (event) => {
     if (event.key === "Enter") {
         event.preventDefault();
-        editBookmarkURL.focus();
+        if (!editingBookmarkFolder) {
+            editBookmarkURL.focus();
+        } else if (!saveBookmarkChanges.disabled) {
+            saveBookmarkChanges.click();
+        }
     }
 });
 
@@ -529,6 +997,28 @@ editBookmarkURL.addEventListener("keydown", (event) => {
     }
 });
 
+// Saves a page from elsewhere on the page, like a shortcut, to the bookmarks
+async function bookmarkPage(title, url) {
+    if (!await requestBookmarkPermission()) return;
+
+    try {
+        const [existing] = await bookmarksAPI.search({ url });
+        if (existing) {
+            await alertPrompt((translations[currentLanguage]?.alreadyBookmarked || translations["en"].alreadyBookmarked)
+                .replace("{title}", existing.title || url));
+            return;
+        }
+
+        const created = await bookmarksAPI.create({ parentId: await getDefaultBookmarkFolderId(), title, url });
+        showBookmarkUndo(
+            (translations[currentLanguage]?.bookmarkAdded || translations["en"].bookmarkAdded).replace("{title}", title || url),
+            () => bookmarksAPI.remove(created.id)
+        );
+    } catch (err) {
+        console.error("Error adding bookmark:", err);
+    }
+}
+
 // ------------------------ End of Bookmark System -----------------------------------
 
 // Save and load the state of the bookmarks toggle
@@ -552,6 +1042,7 @@ document.addEventListener("DOMContentLoaded", function () {
 
     loadCheckboxState("bookmarksCheckboxState", bookmarksCheckbox);
     loadDisplayStatus("bookmarksDisplayStatus", bookmarkButton);
+    smartFoldersField.classList.toggle("inactive", !bookmarksCheckbox.checked);
     loadCheckboxState("bookmarkGridCheckboxState", bookmarkGridCheckbox);
 });
 
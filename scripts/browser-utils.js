@@ -36,3 +36,45 @@ const isMac = /Macintosh|MacIntel|MacPPC|Mac68K/.test(navigator.platform);
 
 // Check if the device is a desktop (not mobile)
 const isDesktop = !/Android|iPhone|iPad|iPod/.test(navigator.userAgent);
+
+// Request the optional host permission for the origin of a user-provided URL
+function requestOriginPermission(url) {
+    let origin;
+    try {
+        origin = `${new URL(url).origin}/*`;
+    } catch (error) {
+        return Promise.resolve(false);
+    }
+
+    return requestHostPermission([origin]);
+}
+
+// Request an optional API permission, like "topSites" or "history"
+function requestBrowserPermission(permission) {
+    if (isFirefox) {
+        return browser.permissions.request({ permissions: [permission] }).catch(() => false);
+    }
+    if (isChromiumBased && chrome.permissions) {
+        return new Promise(resolve => {
+            chrome.permissions.request({ permissions: [permission] }, (granted) => {
+                resolve(!chrome.runtime.lastError && granted);
+            });
+        });
+    }
+    return Promise.resolve(false);
+}
+
+// Request optional host permissions, like "*://*/*" for every website
+function requestHostPermission(origins) {
+    if (isFirefox) {
+        return browser.permissions.request({ origins }).catch(() => false);
+    }
+    if (isChromiumBased && chrome.permissions) {
+        return new Promise(resolve => {
+            chrome.permissions.request({ origins }, (granted) => {
+                resolve(!chrome.runtime.lastError && granted);
+            });
+        });
+    }
+    return Promise.resolve(false);
+}
@@ -121,8 +121,31 @@ function applyLanguage(lang) {
         "shortcutsInfoText",
         "editShortcutsList",
         "editShortcutsListInfo",
+        "shortcutIconIntro",
+        "shortcutIconSite",
+        "shortcutIconUpload",
+        "shortcutIconURL",
+        "shortcutIconEmoji",
+        "shortcutIconMonogram",
+        "importShortcutsIntro",
+        "importShortcutsFrom",
+        "importTopSites",
+        "importBookmarksFolder",
+        "shortcutOptionsIntro",
+        "openInCurrentTab",
+        "openInNewTab",
+        "openInBackgroundTab",
+        "openInPrivateWindow",
+        "shortcutSortLabel",
+        "sortShortcutsManual",
+        "sortShortcutsMostUsed",
+        "sortShortcutsRecent",
+        "sortShortcutsAlphabetical",
         "adaptiveIconText",
         "adaptiveIconInfoText",
+        "iconPacksText",
+        "iconPacksInfoText",
+        "iconPacksIntro",
         "ai_tools_button",
         "enable_ai_tools",
         "aiToolsSettingsText",
@@ -167,6 +190,24 @@ function applyLanguage(lang) {
         "testAPIConnection",
         "search_suggestions_button",
         "search_suggestions_text",
+        "customEnginesText",
+        "customEnginesInfo",
+        "customEnginesIntro",
+        "engineGroupsText",
+        "engineGroupsInfo",
+        "engineGroupsIntro",
+        "searchBangsText",
+        "searchBangsInfo",
+        "searchBangsIntro",
+        "searchBangKeywordText",
+        "searchHistoryText",
+        "searchHistoryInfo",
+        "clearSearchHistoryText",
+        "clearSearchHistoryInfo",
+        "currencyConversionText",
+        "currencyConversionInfo",
+        "currencyRatesText",
+        "currencyRatesInfo",
         "hideClockBox",
         "hideClockBoxInfo",
         "digitalclocktitle",
@@ -222,6 +263,11 @@ function applyLanguage(lang) {
         "rangColor",
         "bookmarksText",
         "bookmarksInfo",
+        "smartFoldersText",
+        "smartFoldersInfo",
+        "smartFoldersIntro",
+        "smartFolderTypeQuery",
+        "smartFolderTypeDomain",
         "bookmarksHeading",
         "bookmarkSortBy",
         "sortAlphabetical",
@@ -230,6 +276,15 @@ function applyLanguage(lang) {
         "bookmarkViewGrid",
         "bookmarkViewList",
         "editBookmarkHeading",
+        "bookmarkHealthHeading",
+        "bookmarkHealthIntro",
+        "bookmarkHealthLinksLabel",
+        "bookmarkTransferHeading",
+        "bookmarkExportHeading",
+        "bookmarkImportHeading",
+        "bookmarkImportIntro",
+        "bookmarkFormatHtml",
+        "bookmarkFormatJson",
         "lightThemed",
         "darkThemed",
         "systemThemed",
@@ -253,7 +308,19 @@ function applyLanguage(lang) {
         { id: "todoInput", key: "todoPlaceholder" },
         { id: "bookmarkSearch", key: "bookmarkSearch" },
         { id: "editBookmarkName", key: "editBookmarkName" },
-        { id: "editBookmarkURL", key: "editBookmarkURL" }
+        { id: "editBookmarkURL", key: "editBookmarkURL" },
+        { id: "customEngineName", key: "customEngineName" },
+        { id: "customEngineIcon", key: "customEngineIcon" },
+        { id: "customEngineSuggestURL", key: "customEngineSuggestURL" },
+        { id: "searchBangKey", key: "searchBangKey" },
+        { id: "engineGroupName", key: "customEngineName" },
+        { id: "shortcutIconEmojiInput", key: "shortcutIconEmoji" },
+        { id: "shortcutLaunchUrls", key: "shortcutLaunchUrls" },
+        { id: "shortcutFinderInput", key: "shortcutFinderInput" },
+        { id: "engineGroupHotkey", key: "engineGroupHotkey" },
+        { id: "smartFolderName", key: "customEngineName" },
+        { id: "smartFolderMatch", key: "smartFolderMatch" },
+        { id: "smartFolderCount", key: "smartFolderCount" }
     ];
 
     // Mapping of elements and their different translation keys
@@ -279,7 +346,44 @@ function applyLanguage(lang) {
         { id: "aiSettingsHeader", key: "aiToolsSettingsText" },
         { id: "saveAISettingsBtn", key: "saveAPI" },
         { id: "editBookmarkNameLabel", key: "editBookmarkName" },
-        { id: "editBookmarkURLLabel", key: "editBookmarkURL" }
+        { id: "editBookmarkURLLabel", key: "editBookmarkURL" },
+        { id: "editBookmarkFolderLabel", key: "editBookmarkFolder" },
+        { id: "bookmarkUndoButton", key: "bookmarkUndo" },
+        { id: "bookmarkHealthScanBtn", key: "bookmarkHealthScan" },
+        { id: "bookmarkHealthMergeBtn", key: "bookmarkHealthMerge" },
+        { id: "bookmarkHealthDeleteBtn", key: "bookmarkHealthDelete" },
+        { id: "exportBookmarksBtn", key: "bookmarkExportHeading" },
+        { id: "chooseBookmarkFileBtn", key: "chooseBookmarkFile" },
+        { id: "importBookmarksBtn", key: "bookmarkImportHeading" },
+        { id: "smartFoldersHeading", key: "smartFoldersText" },
+        { id: "clearSmartFolderBtn", key: "cancelText" },
+        { id: "saveSmartFolderBtn", key: "saveAPI" },
+        { id: "customEnginesHeading", key: "customEnginesText" },
+        { id: "customEngineSearchWith", key: "searchWithHint" },
+        { id: "customEngineSearchOn", key: "searchOnHint" },
+        { id: "clearCustomEngineBtn", key: "cancelText" },
+        { id: "saveCustomEngineBtn", key: "saveAPI" },
+        { id: "engineGroupsHeading", key: "engineGroupsText" },
+        { id: "clearEngineGroupBtn", key: "cancelText" },
+        { id: "saveEngineGroupBtn", key: "saveAPI" },
+        { id: "searchBangsHeading", key: "searchBangsText" },
+        { id: "searchBangURLOption", key: "searchBangURLOption" },
+        { id: "clearSearchBangBtn", key: "cancelText" },
+        { id: "saveSearchBangBtn", key: "saveAPI" },
+        { id: "saveCurrencyEndpoint", key: "saveAPI" },
+        { id: "shortcutIconHeading", key: "shortcutIconText" },
+        { id: "cancelShortcutIconBtn", key: "cancelText" },
+        { id: "saveShortcutIconBtn", key: "saveAPI" },
+        { id: "shortcutImportHeading", key: "importShortcutsText" },
+        { id: "cancelShortcutImportBtn", key: "cancelText" },
+        { id: "confirmShortcutImportBtn", key: "importText" },
+        { id: "shortcutOptionsHeading", key: "shortcutOptionsText" },
+        { id: "cancelShortcutOptionsBtn", key: "cancelText" },
+        { id: "saveShortcutOptionsBtn", key: "saveAPI" },
+        { id: "bookmarkShortcutBtn", key: "bookmarkShortcut" },
+        { id: "iconPacksHeading", key: "iconPacksText" },
+        { id: "cancelIconPacksBtn", key: "cancelText" },
+        { id: "importIconPackBtn", key: "importIconPack" }
     ];
 
     // Function to apply translations
@@ -374,8 +478,8 @@ function applyLanguage(lang) {
     // Apply the direction attribute to specific selectors for RTL languages
     const isRTL = rtlLanguages.includes(lang);
     const rtlSelectors = [".topDiv", ".searchbar", ".searchWithCont", ".resultBox", ".quotesCont",
-        ".leftDiv", ".shortcutsContainer", ".page", "#prompt-modal-box", ".todo-container",
-        ".bookmark-search-container", ".bookmark-controls-container", "#editBookmarkModal"]
+        ".leftDiv", ".shortcutsContainer", ".shortcut-page-dots", ".page", "#prompt-modal-box", ".todo-container",
+        ".bookmark-search-container", ".bookmark-controls-container", "#editBookmarkModal", ".settings-modal", ".bookmark-undo-bar"]
 
     rtlSelectors.forEach(selector => {
         document.querySelectorAll(selector).forEach(el => {
@@ -0,0 +1,214 @@
+/*
+ * Material You NewTab
+ * Copyright (c) 2023-2025 XengShi
+ * Licensed under the GNU General Public License v3.0 (GPL-3.0)
+ * You should have received a copy of the GNU General Public License along with this program.
+ * If not, see <https://www.gnu.org/licenses/>.
+ */
+
+// ------------------------ Pinned Bookmark Folders ------------------------
+// Folders pinned from the bookmarks sidebar show on the home screen as small cards
+// with the bookmarks in them. The cards follow the browser's bookmark events, so
+// changes made in the sidebar, the browser or another window show up right away.
+const pinnedBookmarkFolders = document.getElementById("pinnedBookmarkFolders");
+let pinnedFolderIds = JSON.parse(localStorage.getItem("pinnedBookmarkFolders")) || [];
+let watchingPinnedFolders = false;
+let pinnedFoldersRender = 0;
+
+function savePinnedFolderIds() {
+    localStorage.setItem("pinnedBookmarkFolders", JSON.stringify(pinnedFolderIds));
+}
+
+function isBookmarkFolderPinned(id) {
+    return pinnedFolderIds.includes(id);
+}
+
+// Pins a folder at the end of the cards, or unpins it, and updates its pin button in the sidebar
+function toggleBookmarkFolderPin(id) {
+    if (isBookmarkFolderPinned(id)) {
+        pinnedFolderIds = pinnedFolderIds.filter(pinnedId => pinnedId !== id);
+    } else {
+        pinnedFolderIds.push(id);
+    }
+    savePinnedFolderIds();
+    renderPinnedBookmarkFolders();
+
+    bookmarkList.querySelectorAll(`li[data-id="${id}"] > .bookmark-pin-button`)
+        .forEach(pinButton => updateBookmarkPinButton(pinButton, isBookmarkFolderPinned(id)));
+}
+
+function unpinBookmarkFolders(ids) {
+    pinnedFolderIds = pinnedFolderIds.filter(id => !ids.includes(id));
+    savePinnedFolderIds();
+    ids.forEach(id => getPinnedFolderCard(id)?.remove());
+}
+
+function getPinnedFolderCard(id) {
+    return pinnedBookmarkFolders.querySelector(`.pinned-folder-card[data-id="${id}"]`);
+}
+
+// Only the bookmarks right in the folder are listed, its subfolders can be pinned on their own
+function createPinnedFolderCard(folder) {
+    const getText = (key) => translations[currentLanguage]?.[key] || translations["en"][key];
+
+    const card = document.createElement("div");
+    card.className = "pinned-folder-card";
+    card.dataset.id = folder.id;
+
+    const header = document.createElement("div");
+    header.className = "pinned-folder-header";
+
+    const folderIcon = document.getElementById("folderIconTemplate").cloneNode(true);
+    folderIcon.removeAttribute("id");
+
+    const title = document.createElement("span");
+    title.className = "pinned-folder-title";
+    title.textContent = folder.title;
+
+    const unpinButton = document.createElement("button");
+    unpinButton.className = "pinned-folder-unpin";
+    unpinButton.title = getText("unpinBookmarkFolder");
+    unpinButton.appendChild(createPinIcon());
+    unpinButton.addEventListener("click", () => toggleBookmarkFolderPin(folder.id));
+
+    header.append(folderIcon, title, unpinButton);
+    card.appendChild(header);
+
+    const bookmarks = (folder.children || []).filter(node => node.url);
+    if (!bookmarks.length) {
+        const empty = document.createElement("div");
+        empty.className = "pinned-folder-empty";
+        empty.textContent = getText("pinnedFolderEmpty");
+        card.appendChild(empty);
+        return card;
+    }
+
+    const links = document.createElement("div");
+    links.className = "pinned-folder-links";
+    bookmarks.forEach(bookmark => {
+        const link = document.createElement("a");
+        link.className = "pinned-folder-link";
+        link.dataset.id = bookmark.id;
+        link.href = bookmark.url;
+        link.title = bookmark.title ? `${bookmark.title}\n${bookmark.url}` : bookmark.url;
+
+        const favicon = document.createElement("img");
+        favicon.className = "favicon";
+        favicon.alt = "";
+        setBookmarkFavicon(favicon, bookmark.url);
+
+        const name = document.createElement("span");
+        name.textContent = bookmark.title || getDisplayUrl(bookmark.url);
+
+        link.append(favicon, name);
+        link.addEventListener("click", function (event) {
+            event.preventDefault();
+            openBookmarkUrl(bookmark.url, event.ctrlKey || event.metaKey);
+        });
+        links.appendChild(link);
+    });
+    card.appendChild(links);
+
+    return card;
+}
+
+function createPinIcon() {
+    const pinIcon = document.getElementById("pinIconTemplate").cloneNode(true);
+    pinIcon.removeAttribute("id");
+    return pinIcon;
+}
+
+// Chrome says "Can't find bookmark for id." and Firefox "Bookmark not found"
+function isMissingBookmarkError(err) {
+    return /can't find|not found/i.test(err?.message || "");
+}
+
+// Draws all the cards again, unpinning folders that were deleted while the page was closed
+async function renderPinnedBookmarkFolders() {
+    const render = ++pinnedFoldersRender;
+
+    if (!pinnedFolderIds.length || !bookmarksAPI?.getSubTree) {
+        pinnedBookmarkFolders.innerHTML = "";
+        return;
+    }
+    watchPinnedBookmarkFolders();
+
+    const folders = [];
+    const missingIds = [];
+    for (const id of pinnedFolderIds) {
+        try {
+            const [folder] = await bookmarksAPI.getSubTree(id);
+            if (folder && !folder.url) folders.push(folder);
+        } catch (err) {
+            // Other errors can pass, the folder stays pinned and shows again next time
+            if (isMissingBookmarkError(err)) {
+                missingIds.push(id);
+            } else {
+                console.error("Error loading pinned bookmark folder:", err);
+            }
+        }
+    }
+    // A newer call is drawing them already
+    if (render !== pinnedFoldersRender) return;
+
+    if (missingIds.length) {
+        pinnedFolderIds = pinnedFolderIds.filter(id => !missingIds.includes(id));
+        savePinnedFolderIds();
+    }
+    pinnedBookmarkFolders.replaceChildren(...folders.map(createPinnedFolderCard));
+}
+
+// Draws a single card again after something in its folder changed
+async function refreshPinnedFolderCard(id) {
+    try {
+        const [folder] = await bookmarksAPI.getSubTree(id);
+        getPinnedFolderCard(id)?.replaceWith(createPinnedFolderCard(folder));
+    } catch (err) {
+        console.error("Error loading pinned bookmark folder:", err);
+    }
+}
+
+// Collects the ids of a removed folder and of every folder that was inside it
+function getRemovedFolderIds(node) {
+    if (!node || node.url) return [];
+    return [node.id, ...(node.children || []).flatMap(getRemovedFolderIds)];
+}
+
+function watchPinnedBookmarkFolders() {
+    if (watchingPinnedFolders || !bookmarksAPI?.onCreated) return;
+    watchingPinnedFolders = true;
+
+    bookmarksAPI.onCreated.addListener(function (id, node) {
+        if (isBookmarkFolderPinned(node.parentId)) refreshPinnedFolderCard(node.parentId);
+    });
+
+    bookmarksAPI.onChanged.addListener(function (id) {
+        if (isBookmarkFolderPinned(id)) {
+            refreshPinnedFolderCard(id);
+            return;
+        }
+        const card = pinnedBookmarkFolders.querySelector(`.pinned-folder-link[data-id="${id}"]`)?.closest(".pinned-folder-card");
+        if (card) refreshPinnedFolderCard(card.dataset.id);
+    });
+
+    bookmarksAPI.onRemoved.addListener(function (id, removeInfo) {
+        // Removing a folder only reports the folder itself, not the pinned ones that were inside it
+        const removedFolders = getRemovedFolderIds(removeInfo.node).filter(isBookmarkFolderPinned);
+        if (isBookmarkFolderPinned(id) && !removedFolders.includes(id)) removedFolders.push(id);
+        if (removedFolders.length) unpinBookmarkFolders(removedFolders);
+
+        if (isBookmarkFolderPinned(removeInfo.parentId)) refreshPinnedFolderCard(removeInfo.parentId);
+    });
+
+    // Moving a bookmark changes what two folders hold
+    bookmarksAPI.onMoved?.addListener(function (id, moveInfo) {
+        if (isBookmarkFolderPinned(moveInfo.oldParentId)) refreshPinnedFolderCard(moveInfo.oldParentId);
+        if (moveInfo.parentId !== moveInfo.oldParentId && isBookmarkFolderPinned(moveInfo.parentId)) {
+            refreshPinnedFolderCard(moveInfo.parentId);
+        }
+    });
+}
+
+document.addEventListener("DOMContentLoaded", function () {
+    renderPinnedBookmarkFolders();
+});
@@ -0,0 +1,323 @@
+/*
+ * Material You NewTab
+ * Copyright (c) 2023-2025 XengShi
+ * Licensed under the GNU General Public License v3.0 (GPL-3.0)
+ * You should have received a copy of the GNU General Public License along with this program.
+ * If not, see <https://www.gnu.org/licenses/>.
+ */
+
+// ------------------------------ Search Bangs --------------------------------
+// A bang routes a single query to another engine: "!w quantum" or "quantum !w".
+// Entries are stored as { key, engine, url, keyword } where "engine" is the value
+// of a built-in or custom engine radio and "url" is an optional %s template.
+// Keyword entries also work without the "!" when typed before the query ("yt lofi").
+const searchBangsStorageKey = "searchBangs";
+
+const defaultSearchBangs = [
+    { key: "g", engine: "engine1", url: "", keyword: false },
+    { key: "ddg", engine: "engine2", url: "", keyword: true },
+    { key: "b", engine: "engine3", url: "", keyword: false },
+    { key: "br", engine: "engine4", url: "", keyword: false },
+    { key: "yt", engine: "engine5", url: "", keyword: true },
+    { key: "i", engine: "engine6", url: "", keyword: false },
+    { key: "r", engine: "engine7", url: "", keyword: false },
+    { key: "w", engine: "engine8", url: "", keyword: false },
+    { key: "wiki", engine: "engine8", url: "", keyword: true },
+    { key: "q", engine: "engine9", url: "", keyword: false },
+    { key: "gh", engine: "", url: "https://github.com/search?q=%s", keyword: true }
+];
+
+// Get the bang registry, falling back to the defaults until the user edits it
+function getSearchBangs() {
+    try {
+        const bangs = JSON.parse(localStorage.getItem(searchBangsStorageKey));
+        return Array.isArray(bangs) ? bangs : defaultSearchBangs;
+    } catch (error) {
+        return defaultSearchBangs;
+    }
+}
+
+// Save the bang registry
+function saveSearchBangs(bangs) {
+    localStorage.setItem(searchBangsStorageKey, JSON.stringify(bangs));
+}
+
+// Check that a bang still points to an existing engine or a valid URL template
+function isBangTargetAvailable(bang) {
+    if (bang.url) return isValidEngineTemplate(bang.url);
+    return !!document.querySelector(`input[name="search-engine"][value="${bang.engine}"]`);
+}
+
+/**
+ * Find the bang used in a search term.
+ * @param {string} term - The text typed in the searchbar.
+ * @returns {{bang: Object, query: string, start: number, end: number, prefix: string, suffix: string} | null}
+ * The matched entry, the query without the bang, the position of the bang in the term
+ * and the text to put around another query to keep the bang where it was typed.
+ */
+function matchSearchBang(term) {
+    const bangs = getSearchBangs();
+    const findBang = (key, isKeyword) => bangs.find(bang =>
+        bang.key.toLowerCase() === key.toLowerCase() && (!isKeyword || bang.keyword) && isBangTargetAvailable(bang)
+    );
+
+    // "!w quantum" or "yt lofi"
+    const leading = term.match(/^(\s*)(!?)(\S+)(\s+|$)/);
+    if (leading) {
+        const isKeyword = leading[2] === "";
+        // A keyword needs a query after it, so typing "yt" alone still searches for "yt"
+        const bang = findBang(leading[3], isKeyword);
+        if (bang && (!isKeyword || term.slice(leading[0].length).trim())) {
+            const start = leading[1].length;
+            return {
+                bang,
+                query: term.slice(leading[0].length).trim(),
+                start,
+                end: start + leading[2].length + leading[3].length,
+                prefix: `${leading[2]}${leading[3]} `,
+                suffix: ""
+            };
+        }
+    }
+
+    // "quantum !w"
+    const trailing = term.match(/(\s+)!(\S+)\s*$/);
+    if (trailing) {
+        const bang = findBang(trailing[2], false);
+        if (bang) {
+            const start = trailing.index + trailing[1].length;
+            return {
+                bang,
+                query: term.slice(0, trailing.index).trim(),
+                start,
+                end: start + 1 + trailing[2].length,
+                prefix: "",
+                suffix: ` !${trailing[2]}`
+            };
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Resolve a search term to the URL of its bang.
+ * @param {string} term - The text typed in the searchbar.
+ * @returns {string | null} The URL to open, or null if the term has no bang.
+ */
+function resolveSearchBang(term) {
+    const match = matchSearchBang(term);
+    if (!match) return null;
+
+    const { bang, query } = match;
+    const url = bang.url ? buildCustomEngineURL(bang.url, query) : getSearchURL(bang.engine, query);
+
+    // A bang without a query opens the website itself
+    return query ? url : new URL(url).origin;
+}
+
+// ------------------------ Bang Highlight in Searchbar -----------------------
+// A mirror of the input sits behind it and marks the recognised bang
+document.addEventListener("DOMContentLoaded", function () {
+    const bangHighlight = document.createElement("div");
+    bangHighlight.className = "bang-highlight";
+    bangHighlight.setAttribute("aria-hidden", "true");
+    searchInput.before(bangHighlight);
+
+    function updateBangHighlight() {
+        const value = searchInput.value;
+        const match = value.includes(" ") || value.startsWith("!") ? matchSearchBang(value) : null;
+
+        if (!match) {
+            bangHighlight.replaceChildren();
+            return;
+        }
+
+        const mark = document.createElement("mark");
+        mark.textContent = value.slice(match.start, match.end);
+        bangHighlight.replaceChildren(value.slice(0, match.start), mark, value.slice(match.end));
+
+        // Follow the size, position and scroll of the input
+        bangHighlight.style.left = `${searchInput.offsetLeft}px`;
+        bangHighlight.style.top = `${searchInput.offsetTop}px`;
+        bangHighlight.style.width = `${searchInput.offsetWidth}px`;
+        bangHighlight.style.height = `${searchInput.offsetHeight}px`;
+        bangHighlight.style.lineHeight = `${searchInput.offsetHeight}px`;
+        bangHighlight.scrollLeft = searchInput.scrollLeft;
+    }
+
+    searchInput.addEventListener("input", updateBangHighlight);
+    // Suggestions change the value with the arrow keys without an input event
+    searchInput.addEventListener("keyup", updateBangHighlight);
+    searchInput.addEventListener("scroll", updateBangHighlight);
+    window.addEventListener("resize", updateBangHighlight);
+});
+
+// --------------------------- Search Bangs Manager ---------------------------
+document.addEventListener("DOMContentLoaded", function () {
+    const searchBangsModal = document.getElementById("searchBangsModal");
+    const searchBangsOverlay = document.getElementById("searchBangsOverlay");
+    const searchBangsEditButton = document.getElementById("searchBangsEditButton");
+    const closeSearchBangsBtn = document.getElementById("closeSearchBangsBtn");
+    const searchBangList = document.getElementById("searchBangList");
+    const searchBangKey = document.getElementById("searchBangKey");
+    const searchBangEngine = document.getElementById("searchBangEngine");
+    const searchBangURL = document.getElementById("searchBangURL");
+    const searchBangKeyword = document.getElementById("searchBangKeyword");
+    const clearSearchBangBtn = document.getElementById("clearSearchBangBtn");
+    const saveSearchBangBtn = document.getElementById("saveSearchBangBtn");
+
+    let editingBangKey = null;
+
+    // Name of the engine a bang points to, as shown in the search engine list
+    function getBangTargetName(bang) {
+        if (bang.url) return bang.url;
+        const radio = document.querySelector(`input[name="search-engine"][value="${bang.engine}"]`);
+        return radio?.parentElement.querySelector(".engine-name")?.textContent.trim() || bang.engine;
+    }
+
+    // Fill the engine select with the built-in and custom engines
+    function renderEngineOptions() {
+        const urlOption = searchBangEngine.querySelector('option[value=""]');
+        searchBangEngine.replaceChildren(urlOption);
+
+        document.querySelectorAll('input[name="search-engine"]').forEach(radio => {
+            // The browser default engine has no URL to route to
+            if (radio.value === "engine0") return;
+
+            const option = document.createElement("option");
+            option.value = radio.value;
+            option.textContent = getBangTargetName({ engine: radio.value });
+            searchBangEngine.appendChild(option);
+        });
+    }
+
+    function updateURLField() {
+        searchBangURL.style.display = searchBangEngine.value ? "none" : "";
+    }
+
+    // Fill the list of saved bangs
+    function renderBangList() {
+        searchBangList.innerHTML = "";
+
+        getSearchBangs().forEach(bang => {
+            const item = document.createElement("div");
+            item.className = "settings-modal-item";
+            item.classList.toggle("editing", bang.key === editingBangKey);
+
+            const texts = document.createElement("div");
+            texts.className = "settings-item-texts";
+
+            const title = document.createElement("span");
+            title.className = "settings-item-title";
+            title.textContent = bang.keyword ? `!${bang.key} · ${bang.key}` : `!${bang.key}`;
+
+            const subtitle = document.createElement("span");
+            subtitle.className = "settings-item-subtitle";
+            subtitle.textContent = getBangTargetName(bang);
+
+            texts.append(title, subtitle);
+
+            const deleteButton = document.createElement("button");
+            deleteButton.className = "settings-item-delete";
+            deleteButton.textContent = "✖";
+
+            deleteButton.addEventListener("click", async (event) => {
+                event.stopPropagation();
+                const confirmMessage = (translations[currentLanguage]?.deleteSearchBang || translations["en"].deleteSearchBang)
+                    .replace("{title}", bang.key);
+
+                if (await confirmPrompt(confirmMessage)) {
+                    saveSearchBangs(getSearchBangs().filter(b => b.key !== bang.key));
+                    if (editingBangKey === bang.key) clearForm();
+                    renderBangList();
+                }
+            });
+
+            // Load the bang into the form for editing
+            item.addEventListener("click", () => {
+                editingBangKey = bang.key;
+                searchBangKey.value = bang.key;
+                searchBangEngine.value = bang.url ? "" : bang.engine;
+                searchBangURL.value = bang.url || "";
+                searchBangKeyword.checked = !!bang.keyword;
+                updateURLField();
+                renderBangList();
+                searchBangKey.focus();
+            });
+
+            item.append(texts, deleteButton);
+            searchBangList.appendChild(item);
+        });
+    }
+
+    function clearForm() {
+        editingBangKey = null;
+        searchBangKey.value = "";
+        searchBangEngine.value = searchBangEngine.options[1]?.value || "";
+        searchBangURL.value = "";
+        searchBangKeyword.checked = false;
+        updateURLField();
+    }
+
+    function openSearchBangsModal() {
+        renderEngineOptions();
+        clearForm();
+        renderBangList();
+        searchBangsModal.style.display = "block";
+        searchBangsOverlay.style.display = "block";
+    }
+
+    function closeSearchBangsModal() {
+        searchBangsModal.style.display = "none";
+        searchBangsOverlay.style.display = "none";
+    }
+
+    async function saveSearchBang() {
+        const key = searchBangKey.value.trim().replace(/^!/, "");
+        const engine = searchBangEngine.value;
+        const url = engine ? "" : searchBangURL.value.trim();
+        const bangs = getSearchBangs();
+        const isTaken = bangs.some(b => b.key.toLowerCase() === key.toLowerCase() && b.key !== editingBangKey);
+
+        if (!key || /\s/.test(key) || isTaken || (!engine && !isValidEngineTemplate(url))) {
+            await alertPrompt(translations[currentLanguage]?.invalidSearchBang || translations["en"].invalidSearchBang);
+            return;
+        }
+
+        const bang = { key, engine, url, keyword: searchBangKeyword.checked };
+        const index = bangs.findIndex(b => b.key === editingBangKey);
+        if (index !== -1) {
+            bangs[index] = bang;
+        } else {
+            bangs.push(bang);
+        }
+
+        saveSearchBangs(bangs);
+        clearForm();
+        renderBangList();
+    }
+
+    searchBangsEditButton.addEventListener("click", (event) => {
+        event.preventDefault();
+        event.stopPropagation();
+        openSearchBangsModal();
+    });
+    closeSearchBangsBtn.addEventListener("click", closeSearchBangsModal);
+    searchBangsOverlay.addEventListener("click", closeSearchBangsModal);
+    searchBangEngine.addEventListener("change", updateURLField);
+    clearSearchBangBtn.addEventListener("click", () => {
+        clearForm();
+        renderBangList();
+    });
+    saveSearchBangBtn.addEventListener("click", saveSearchBang);
+
+    [searchBangKey, searchBangURL].forEach(input => {
+        input.addEventListener("keydown", (event) => {
+            if (event.key === "Enter") {
+                event.preventDefault();
+                saveSearchBangBtn.click();
+            }
+        });
+    });
+});
@@ -0,0 +1,443 @@
+/*
+ * Material You NewTab
+ * Copyright (c) 2023-2025 XengShi
+ * Licensed under the GNU General Public License v3.0 (GPL-3.0)
+ * You should have received a copy of the GNU General Public License along with this program.
+ * If not, see <https://www.gnu.org/licenses/>.
+ */
+
+// --------------------------- Search Bar Calculator --------------------------
+// Answers like "23*1.19", "5 km to mi" or "100 usd in eur" are computed locally.
+// Expressions are read by a small recursive descent parser, never by eval.
+const calculatorConstants = { pi: Math.PI, "π": Math.PI, e: Math.E };
+const calculatorFunctions = {
+    sqrt: Math.sqrt,
+    abs: Math.abs,
+    sin: Math.sin,
+    cos: Math.cos,
+    tan: Math.tan,
+    log: Math.log10,
+    ln: Math.log,
+    round: Math.round,
+    floor: Math.floor,
+    ceil: Math.ceil
+};
+
+// Split an expression into numbers, operators, parentheses and names
+function tokenizeExpression(expression) {
+    const tokenPattern = /\s+|(\d+(?:\.\d*)?|\.\d+)(?:e([+-]?\d+))?|(\*\*|[-+*/^%()×÷])|([a-zπ]+)/iy;
+    const tokens = [];
+    tokenPattern.lastIndex = 0;
+
+    while (tokenPattern.lastIndex < expression.length) {
+        const match = tokenPattern.exec(expression);
+        if (!match) return null;
+
+        if (match[1] !== undefined) {
+            tokens.push({ type: "number", value: parseFloat(match[0]) });
+        } else if (match[3] !== undefined) {
+            const operator = { "**": "^", "×": "*", "÷": "/" }[match[3]] || match[3];
+            tokens.push({ type: operator === "(" || operator === ")" ? operator : "operator", value: operator });
+        } else if (match[4] !== undefined) {
+            tokens.push({ type: "name", value: match[4].toLowerCase() });
+        }
+    }
+    return tokens;
+}
+
+/**
+ * Evaluate an arithmetic expression.
+ * Supports + - * / % ^, parentheses, implicit multiplication, the constants pi and e,
+ * and the functions in calculatorFunctions.
+ * @param {string} expression - The expression typed in the searchbar.
+ * @returns {number | null} The result, or null if the text is not a valid expression.
+ */
+function evaluateExpression(expression) {
+    const tokens = tokenizeExpression(expression);
+    if (!tokens || tokens.length === 0) return null;
+
+    let position = 0;
+    const peek = () => tokens[position];
+    const isOperator = (...operators) => peek()?.type === "operator" && operators.includes(peek().value);
+
+    // Sums and differences
+    function parseExpression() {
+        let value = parseTerm();
+        while (isOperator("+", "-")) {
+            const operator = tokens[position++].value;
+            const right = parseTerm();
+            value = operator === "+" ? value + right : value - right;
+        }
+        return value;
+    }
+
+    // Products, quotients and remainders, including "2pi" or "3(4+5)".
+    // Nothing is multiplied after a constant without "*", so "e5" is not e × 5.
+    function parseTerm() {
+        let value = parseUnary();
+        while (isOperator("*", "/", "%") ||
+            (["number", "name", "("].includes(peek()?.type) && tokens[position - 1].type !== "name")) {
+            const operator = peek().type === "operator" ? tokens[position++].value : "*";
+            const right = parseUnary();
+            if (operator === "*") value *= right;
+            else if (operator === "/") value /= right;
+            else value %= right;
+        }
+        return value;
+    }
+
+    function parseUnary() {
+        if (isOperator("-", "+")) {
+            const operator = tokens[position++].value;
+            const value = parseUnary();
+            return operator === "-" ? -value : value;
+        }
+        return parsePower();
+    }
+
+    // Powers are right associative: 2^3^2 = 2^9
+    function parsePower() {
+        const base = parsePrimary();
+        if (isOperator("^")) {
+            position++;
+            return base ** parseUnary();
+        }
+        return base;
+    }
+
+    function parsePrimary() {
+        const token = tokens[position++];
+        if (!token) throw new Error("Unexpected end of expression");
+
+        if (token.type === "number") return token.value;
+
+        if (token.type === "(") {
+            const value = parseExpression();
+            if (tokens[position++]?.type !== ")") throw new Error("Missing closing parenthesis");
+            return value;
+        }
+
+        if (token.type === "name") {
+            if (token.value in calculatorConstants) return calculatorConstants[token.value];
+            if (token.value in calculatorFunctions) return calculatorFunctions[token.value](parsePower());
+        }
+
+        throw new Error(`Unexpected token ${token.value}`);
+    }
+
+    try {
+        const value = parseExpression();
+        if (position !== tokens.length || !Number.isFinite(value)) return null;
+        return value;
+    } catch (error) {
+        return null;
+    }
+}
+
+// ------------------------------ Unit Conversion -----------------------------
+// Linear units are converted through the base unit of their category
+const conversionUnits = [
+    // Length, in meters
+    { names: ["mm", "millimeter", "millimeters", "millimetre", "millimetres"], category: "length", factor: 0.001 },
+    { names: ["cm", "centimeter", "centimeters", "centimetre", "centimetres"], category: "length", factor: 0.01 },
+    { names: ["m", "meter", "meters", "metre", "metres"], category: "length", factor: 1 },
+    { names: ["km", "kilometer", "kilometers", "kilometre", "kilometres"], category: "length", factor: 1000 },
+    { names: ["in", "inch", "inches", "\""], category: "length", factor: 0.0254 },
+    { names: ["ft", "foot", "feet", "'"], category: "length", factor: 0.3048 },
+    { names: ["yd", "yard", "yards"], category: "length", factor: 0.9144 },
+    { names: ["mi", "mile", "miles"], category: "length", factor: 1609.344 },
+    { names: ["nmi", "nautical mile", "nautical miles"], category: "length", factor: 1852 },
+
+    // Mass, in kilograms
+    { names: ["mg", "milligram", "milligrams"], category: "mass", factor: 0.000001 },
+    { names: ["g", "gram", "grams"], category: "mass", factor: 0.001 },
+    { names: ["kg", "kilogram", "kilograms", "kilo", "kilos"], category: "mass", factor: 1 },
+    { names: ["t", "tonne", "tonnes", "ton", "tons"], category: "mass", factor: 1000 },
+    { names: ["oz", "ounce", "ounces"], category: "mass", factor: 0.028349523125 },
+    { names: ["lb", "lbs", "pound", "pounds"], category: "mass", factor: 0.45359237 },
+    { names: ["st", "stone", "stones"], category: "mass", factor: 6.35029318 },
+
+    // Volume, in liters
+    { names: ["ml", "milliliter", "milliliters", "millilitre", "millilitres"], category: "volume", factor: 0.001 },
+    { names: ["l", "liter", "liters", "litre", "litres"], category: "volume", factor: 1 },
+    { names: ["floz", "fluid ounce", "fluid ounces"], category: "volume", factor: 0.0295735295625 },
+    { names: ["cup", "cups"], category: "volume", factor: 0.2365882365 },
+    { names: ["pt", "pint", "pints"], category: "volume", factor: 0.473176473 },
+    { names: ["qt", "quart", "quarts"], category: "volume", factor: 0.946352946 },
+    { names: ["gal", "gallon", "gallons"], category: "volume", factor: 3.785411784 },
+
+    // Speed, in meters per second
+    { names: ["m/s", "mps"], category: "speed", factor: 1 },
+    { names: ["km/h", "kmh", "kph"], category: "speed", factor: 1 / 3.6 },
+    { names: ["mph"], category: "speed", factor: 0.44704 },
+    { names: ["kn", "kt", "knot", "knots"], category: "speed", factor: 1852 / 3600 },
+
+    // Time, in seconds
+    { names: ["ms", "millisecond", "milliseconds"], category: "time", factor: 0.001 },
+    { names: ["s", "sec", "second", "seconds"], category: "time", factor: 1 },
+    { names: ["min", "minute", "minutes"], category: "time", factor: 60 },
+    { names: ["h", "hr", "hour", "hours"], category: "time", factor: 3600 },
+    { names: ["d", "day", "days"], category: "time", factor: 86400 },
+    { names: ["wk", "week", "weeks"], category: "time", factor: 604800 },
+
+    // Digital storage, in bytes
+    { names: ["b", "byte", "bytes"], category: "data", factor: 1 },
+    { names: ["kb", "kilobyte", "kilobytes"], category: "data", factor: 1e3 },
+    { names: ["mb", "megabyte", "megabytes"], category: "data", factor: 1e6 },
+    { names: ["gb", "gigabyte", "gigabytes"], category: "data", factor: 1e9 },
+    { names: ["tb", "terabyte", "terabytes"], category: "data", factor: 1e12 },
+
+    // Temperature, through degrees Celsius
+    { names: ["°c", "c", "celsius"], category: "temperature", toBase: c => c, fromBase: c => c },
+    { names: ["°f", "f", "fahrenheit"], category: "temperature", toBase: f => (f - 32) * 5 / 9, fromBase: c => c * 9 / 5 + 32 },
+    { names: ["k", "kelvin"], category: "temperature", toBase: k => k - 273.15, fromBase: c => c + 273.15 }
+];
+
+function findConversionUnit(name) {
+    const unitName = name.toLowerCase().replace(/^deg\s*/, "°");
+    return conversionUnits.find(unit => unit.names.includes(unitName));
+}
+
+// Convert between two units of the same category
+function convertUnits(amount, fromName, toName) {
+    const from = findConversionUnit(fromName);
+    const to = findConversionUnit(toName);
+    if (!from || !to || from.category !== to.category) return null;
+
+    const baseValue = from.toBase ? from.toBase(amount) : amount * from.factor;
+    const value = to.fromBase ? to.fromBase(baseValue) : baseValue / to.factor;
+    // Names are stored in lower case, but "°C" and "MB" read better in upper case
+    const unit = ["temperature", "data"].includes(to.category) ? to.names[0].toUpperCase() : to.names[0];
+    return { value, unit };
+}
+
+// ---------------------------- Currency Conversion ---------------------------
+// Off until turned on in the menu, since the rates come from the internet.
+// Rates are cached as { base, rates, time } and refreshed from a configurable endpoint
+const currencyConversionStorageKey = "currencyConversionCheckboxState";
+const currencyRatesStorageKey = "currencyRates";
+const currencyEndpointStorageKey = "currencyRatesEndpoint";
+const defaultCurrencyRatesEndpoint = "https://open.er-api.com/v6/latest/USD";
+const currencyRatesMaxAge = 12 * 60 * 60 * 1000; // 12 hours
+const currencyRatesRetryDelay = 10 * 60 * 1000; // 10 minutes after a failed download
+const currencyAliases = {
+    "$": "USD", "dollar": "USD", "dollars": "USD",
+    "€": "EUR", "euro": "EUR", "euros": "EUR",
+    "£": "GBP",
+    "¥": "JPY", "yen": "JPY",
+    "₹": "INR", "rupee": "INR", "rupees": "INR"
+};
+// Codes recognised before any rate table has been downloaded
+const commonCurrencies = [
+    "USD", "EUR", "GBP", "JPY", "CNY", "INR", "CAD", "AUD", "CHF", "RUB", "BRL", "KRW", "MXN", "TRY", "PLN",
+    "SEK", "NOK", "DKK", "CZK", "HUF", "UAH", "IDR", "VND", "THB", "PKR", "BDT", "NPR", "UZS", "AZN", "IRR",
+    "SAR", "AED", "HKD", "TWD", "SGD", "NZD", "ZAR"
+];
+let currencyRatesRequest = null;
+let currencyRatesFailedAt = 0;
+
+function isCurrencyConversionEnabled() {
+    return localStorage.getItem(currencyConversionStorageKey) === "checked";
+}
+
+function getCurrencyRates() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(currencyRatesStorageKey));
+        return stored?.rates ? stored : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+function getCurrencyRatesEndpoint() {
+    return localStorage.getItem(currencyEndpointStorageKey) || defaultCurrencyRatesEndpoint;
+}
+
+// Download the rate table, sharing the request if one is already running
+function refreshCurrencyRates() {
+    if (currencyRatesRequest) return currencyRatesRequest;
+
+    currencyRatesRequest = fetch(getCurrencyRatesEndpoint())
+        .then(response => response.json())
+        .then(data => {
+            // Supports both { base_code, rates } and { base, rates } responses
+            const rates = data.rates || data.conversion_rates;
+            const base = (data.base_code || data.base || "USD").toUpperCase();
+            if (!rates || typeof rates !== "object") {
+                throw new Error("Invalid currency rates response");
+            }
+
+            const currencyRates = { base, rates: { ...rates, [base]: 1 }, time: Date.now() };
+            localStorage.setItem(currencyRatesStorageKey, JSON.stringify(currencyRates));
+            currencyRatesFailedAt = 0;
+            return currencyRates;
+        })
+        .catch(error => {
+            currencyRatesFailedAt = Date.now();
+            throw error;
+        })
+        .finally(() => {
+            currencyRatesRequest = null;
+        });
+
+    return currencyRatesRequest;
+}
+
+function findCurrency(name, currencyRates) {
+    const code = currencyAliases[name.toLowerCase()] || name.toUpperCase();
+    const knownCodes = currencyRates ? Object.keys(currencyRates.rates) : commonCurrencies;
+    return knownCodes.includes(code) ? code : null;
+}
+
+// Convert between currencies with the cached rates, refreshing them when they are old.
+// After a failed download the old rates are used for a while before trying again.
+function convertCurrency(amount, fromName, toName) {
+    if (!isCurrencyConversionEnabled()) return null;
+
+    const currencyRates = getCurrencyRates();
+    const from = findCurrency(fromName, currencyRates);
+    const to = findCurrency(toName, currencyRates);
+    if (!from || !to) return null;
+
+    const ratesOutdated = !currencyRates || Date.now() - currencyRates.time > currencyRatesMaxAge;
+    if (ratesOutdated && !currencyRatesRequest && Date.now() - currencyRatesFailedAt > currencyRatesRetryDelay) {
+        // Show the answer once the rates arrive, if the text did not change meanwhile
+        const query = searchInput.value;
+        refreshCurrencyRates()
+            .then(() => {
+                if (!currencyRates && searchInput.value === query) {
+                    searchInput.dispatchEvent(new Event("input"));
+                }
+            })
+            .catch(error => console.error("Error fetching currency rates:", error));
+    }
+    if (!currencyRates) return null;
+
+    return { value: amount / currencyRates.rates[from] * currencyRates.rates[to], unit: to };
+}
+
+// ------------------------------ Result Row ----------------------------------
+// Format a number for display, in the numerals of the current language
+function formatCalculatorValue(value) {
+    const rounded = parseFloat(value.toPrecision(12));
+    return localizeNumbers(rounded.toString(), currentLanguage);
+}
+
+/**
+ * Compute the answer for the text typed in the searchbar.
+ * @param {string} query - The text typed in the searchbar.
+ * @returns {{kind: string, text: string, title: string, description: string} | null}
+ * A result row whose text is the plain value, or null if the text is not a calculation.
+ */
+function getCalculatorResult(query) {
+    const text = query.trim();
+    if (!text || !/\d/.test(text)) return null;
+
+    // "5 km to mi", "72F in C", "$100 to eur"
+    const conversion = text.match(/^([$€£¥₹])?\s*(-?(?:\d+(?:\.\d+)?|\.\d+))\s*([^\d\s]*(?:\s[a-z]+)?)\s+(?:to|in|into|as|=)\s+(\S+(?:\s[a-z]+)?)$/i);
+    if (conversion) {
+        const amount = parseFloat(conversion[2]);
+        const fromName = conversion[1] || conversion[3];
+        const result = convertUnits(amount, fromName, conversion[4]) || convertCurrency(amount, fromName, conversion[4]);
+
+        if (result) {
+            return {
+                kind: "calculator",
+                text: String(parseFloat(result.value.toPrecision(12))),
+                title: `${formatCalculatorValue(result.value)} ${result.unit}`,
+                description: `${text} =`
+            };
+        }
+        return null;
+    }
+
+    // Plain numbers and dates are not calculations
+    if (/^[-+]?(\d+(\.\d*)?|\.\d+)$/.test(text) || /^\d{4}-\d{1,2}-\d{1,2}$/.test(text)) return null;
+
+    // Without an operator or a function, text like "3e" or "2pi" is more likely a search
+    const tokens = tokenizeExpression(text);
+    if (!tokens?.some(token => token.type === "operator" || token.value in calculatorFunctions)) return null;
+
+    const value = evaluateExpression(text);
+    if (value === null) return null;
+
+    return {
+        kind: "calculator",
+        text: String(parseFloat(value.toPrecision(12))),
+        title: formatCalculatorValue(value),
+        description: `${text} =`
+    };
+}
+
+// ------------------------ Currency Rates Settings ---------------------------
+document.addEventListener("DOMContentLoaded", function () {
+    const currencyConversionCheckbox = document.getElementById("currencyConversionCheckbox");
+    const currencyRatesField = document.getElementById("currencyRatesField");
+    const currencyEndpointInput = document.getElementById("currencyRatesEndpoint");
+    const saveCurrencyEndpoint = document.getElementById("saveCurrencyEndpoint");
+    const currencyRatesUpdated = document.getElementById("currencyRatesUpdated");
+
+    // Show when the cached rates were downloaded
+    function showCurrencyRatesTime() {
+        const currencyRates = getCurrencyRates();
+        currencyRatesUpdated.textContent = currencyRates
+            ? new Date(currencyRates.time).toLocaleString(currentLanguage.replace("_", "-"))
+            : "";
+    }
+
+    function updateCurrencyRatesField() {
+        currencyRatesField.style.display = currencyConversionCheckbox.checked ? "block" : "none";
+    }
+
+    // Download the rates as soon as the conversion is turned on
+    currencyConversionCheckbox.addEventListener("change", () => {
+        saveCheckboxState(currencyConversionStorageKey, currencyConversionCheckbox);
+        updateCurrencyRatesField();
+
+        if (currencyConversionCheckbox.checked) {
+            refreshCurrencyRates()
+                .then(showCurrencyRatesTime)
+                .catch(error => console.error("Error fetching currency rates:", error));
+        }
+    });
+
+    loadCheckboxState(currencyConversionStorageKey, currencyConversionCheckbox);
+    updateCurrencyRatesField();
+
+    const savedEndpoint = localStorage.getItem(currencyEndpointStorageKey);
+    if (savedEndpoint) {
+        currencyEndpointInput.value = savedEndpoint;
+    }
+
+    currencyEndpointInput.addEventListener("keydown", (event) => {
+        if (event.key === "Enter") {
+            saveCurrencyEndpoint.click();
+        }
+    });
+
+    // Save the endpoint and download the rates from it right away
+    saveCurrencyEndpoint.addEventListener("click", async () => {
+        let endpoint = currencyEndpointInput.value.trim();
+        if (endpoint && !(endpoint.startsWith("http://") || endpoint.startsWith("https://"))) {
+            endpoint = "https://" + endpoint;
+        }
+
+        if (endpoint && endpoint !== defaultCurrencyRatesEndpoint) {
+            localStorage.setItem(currencyEndpointStorageKey, endpoint);
+            currencyEndpointInput.value = endpoint;
+            await requestOriginPermission(endpoint);
+        } else {
+            localStorage.removeItem(currencyEndpointStorageKey);
+            currencyEndpointInput.value = "";
+        }
+
+        try {
+            await refreshCurrencyRates();
+            showCurrencyRatesTime();
+        } catch (error) {
+            await alertPrompt(translations[currentLanguage]?.currencyRatesFailed || translations["en"].currencyRatesFailed);
+        }
+    });
+
+    showCurrencyRatesTime();
+});
@@ -0,0 +1,466 @@
+/*
+ * Material You NewTab
+ * Copyright (c) 2023-2025 XengShi
+ * Licensed under the GNU General Public License v3.0 (GPL-3.0)
+ * You should have received a copy of the GNU General Public License along with this program.
+ * If not, see <https://www.gnu.org/licenses/>.
+ */
+
+// ------------------------ Custom Search Engines -----------------------------
+// User-defined engines are stored as a JSON array of
+// { id, name, url, icon, suggestUrl, category } where "url" and "suggestUrl" contain %s
+const customEnginesStorageKey = "customSearchEngines";
+
+// Get the list of user-defined search engines
+function getCustomSearchEngines() {
+    try {
+        const engines = JSON.parse(localStorage.getItem(customEnginesStorageKey) || "[]");
+        return Array.isArray(engines) ? engines : [];
+    } catch (error) {
+        return [];
+    }
+}
+
+// Save the list of user-defined search engines
+function saveCustomSearchEngines(engines) {
+    localStorage.setItem(customEnginesStorageKey, JSON.stringify(engines));
+}
+
+// Find a user-defined engine by its radio value
+function getCustomSearchEngine(engineValue) {
+    return getCustomSearchEngines().find(engine => engine.id === engineValue);
+}
+
+// Replace the %s placeholder of a URL template with the encoded query
+function buildCustomEngineURL(template, query) {
+    const encodedQuery = encodeURIComponent(query);
+    return template.includes("%s") ? template.replaceAll("%s", encodedQuery) : template + encodedQuery;
+}
+
+// Icon of a custom engine, falling back to the favicon of its website
+function getCustomEngineIcon(engine) {
+    if (engine.icon) return engine.icon;
+    try {
+        const hostname = new URL(engine.url.replaceAll("%s", "")).hostname;
+        return `https://s2.googleusercontent.com/s2/favicons?domain_url=https://${hostname}&sz=64`;
+    } catch (error) {
+        return "./svgs/offline.svg";
+    }
+}
+
+// Check that a URL template is a valid http(s) URL containing %s
+function isValidEngineTemplate(template) {
+    if (!template.includes("%s")) return false;
+    try {
+        const url = new URL(template.replaceAll("%s", "test"));
+        return url.protocol === "https:" || url.protocol === "http:";
+    } catch (error) {
+        return false;
+    }
+}
+
+// Create the radio button and the dropdown item for every custom engine
+function renderCustomSearchEngines() {
+    const enginesContainer = document.querySelector(".searchEnginesContainer");
+    const dropdownContent = document.querySelector(".dropdown-content");
+
+    getCustomSearchEngines().forEach(engine => {
+        const iconUrl = getCustomEngineIcon(engine);
+
+        // Radio button in the "Search With" / "Search On" list
+        const engineDiv = document.createElement("div");
+        engineDiv.className = "search-engine bgLightTint";
+        engineDiv.dataset.category = engine.category;
+        engineDiv.dataset.custom = "";
+
+        const radioIcon = document.createElement("img");
+        radioIcon.className = "search-engine-icon custom-engine-icon";
+        radioIcon.src = iconUrl;
+        radioIcon.alt = "";
+        radioIcon.onerror = () => radioIcon.src = "./svgs/offline.svg";
+
+        const label = document.createElement("label");
+        label.className = "engine-name";
+        label.textContent = engine.name;
+
+        const radio = document.createElement("input");
+        radio.className = "radio-button";
+        radio.name = "search-engine";
+        radio.type = "radio";
+        radio.value = engine.id;
+
+        engineDiv.append(radioIcon, label, radio);
+        enginesContainer.appendChild(engineDiv);
+
+        // Item in the searchbar dropdown
+        const dropdownItem = document.createElement("div");
+        dropdownItem.id = `${engine.id}-dropdown`;
+        dropdownItem.className = "dropdown-item";
+        dropdownItem.dataset.engine = engine.id;
+        dropdownItem.dataset.engineName = engine.id;
+
+        const dropdownIcon = radioIcon.cloneNode();
+        dropdownIcon.className = "custom-engine-icon";
+        dropdownIcon.onerror = () => dropdownIcon.src = "./svgs/offline.svg";
+
+        const engineName = document.createElement("span");
+        engineName.className = "engine-name";
+        engineName.textContent = engine.name;
+
+        dropdownItem.append(dropdownIcon, engineName);
+        dropdownContent.appendChild(dropdownItem);
+    });
+}
+
+// Remove the custom engines from the page and render them again
+function refreshCustomSearchEngines() {
+    // Bring the default engine back to the dropdown button before removing anything
+    showEngineInDropdown("engine0");
+
+    document.querySelectorAll(".searchEnginesContainer .search-engine[data-custom]").forEach(el => el.remove());
+    document.querySelectorAll('.dropdown-content [data-engine^="custom-"]').forEach(el => el.remove());
+
+    renderCustomSearchEngines();
+    applyStoredSearchEngine();
+}
+
+// ---------------------- Custom Search Engines Manager -----------------------
+document.addEventListener("DOMContentLoaded", function () {
+    const searchEnginesModal = document.getElementById("searchEnginesModal");
+    const searchEnginesOverlay = document.getElementById("searchEnginesOverlay");
+    const customEnginesEditButton = document.getElementById("customEnginesEditButton");
+    const closeSearchEnginesBtn = document.getElementById("closeSearchEnginesBtn");
+    const customEngineList = document.getElementById("customEngineList");
+    const customEngineName = document.getElementById("customEngineName");
+    const customEngineURL = document.getElementById("customEngineURL");
+    const customEngineIcon = document.getElementById("customEngineIcon");
+    const customEngineSuggestURL = document.getElementById("customEngineSuggestURL");
+    const customEngineCategory = document.getElementById("customEngineCategory");
+    const clearCustomEngineBtn = document.getElementById("clearCustomEngineBtn");
+    const saveCustomEngineBtn = document.getElementById("saveCustomEngineBtn");
+
+    let editingEngineId = null;
+
+    // Fill the list of saved engines
+    function renderEngineList() {
+        customEngineList.innerHTML = "";
+
+        getCustomSearchEngines().forEach(engine => {
+            const item = document.createElement("div");
+            item.className = "settings-modal-item";
+            item.classList.toggle("editing", engine.id === editingEngineId);
+            item.dataset.id = engine.id;
+
+            const icon = document.createElement("img");
+            icon.className = "settings-item-icon";
+            icon.src = getCustomEngineIcon(engine);
+            icon.alt = "";
+            icon.onerror = () => icon.src = "./svgs/offline.svg";
+
+            const texts = document.createElement("div");
+            texts.className = "settings-item-texts";
+
+            const title = document.createElement("span");
+            title.className = "settings-item-title";
+            title.textContent = engine.name;
+
+            const subtitle = document.createElement("span");
+            subtitle.className = "settings-item-subtitle";
+            subtitle.textContent = engine.url;
+
+            texts.append(title, subtitle);
+
+            const deleteButton = document.createElement("button");
+            deleteButton.className = "settings-item-delete";
+            deleteButton.textContent = "✖";
+
+            deleteButton.addEventListener("click", async (event) => {
+                event.stopPropagation();
+                const confirmMessage = (translations[currentLanguage]?.deleteCustomEngine || translations["en"].deleteCustomEngine)
+                    .replace("{title}", engine.name);
+
+                if (await confirmPrompt(confirmMessage)) {
+                    saveCustomSearchEngines(getCustomSearchEngines().filter(e => e.id !== engine.id));
+                    if (editingEngineId === engine.id) clearForm();
+                    renderEngineList();
+                    refreshCustomSearchEngines();
+                }
+            });
+
+            // Load the engine into the form for editing
+            item.addEventListener("click", () => {
+                editingEngineId = engine.id;
+                customEngineName.value = engine.name;
+                customEngineURL.value = engine.url;
+                customEngineIcon.value = engine.icon || "";
+                customEngineSuggestURL.value = engine.suggestUrl || "";
+                customEngineCategory.value = engine.category;
+                renderEngineList();
+                customEngineName.focus();
+            });
+
+            item.append(icon, texts, deleteButton);
+            customEngineList.appendChild(item);
+        });
+    }
+
+    function clearForm() {
+        editingEngineId = null;
+        customEngineName.value = "";
+        customEngineURL.value = "";
+        customEngineIcon.value = "";
+        customEngineSuggestURL.value = "";
+        customEngineCategory.value = "search-with";
+    }
+
+    function openSearchEnginesModal() {
+        clearForm();
+        renderEngineList();
+        searchEnginesModal.style.display = "block";
+        searchEnginesOverlay.style.display = "block";
+    }
+
+    function closeSearchEnginesModal() {
+        searchEnginesModal.style.display = "none";
+        searchEnginesOverlay.style.display = "none";
+    }
+
+    async function saveCustomEngine() {
+        const name = customEngineName.value.trim();
+        const url = customEngineURL.value.trim();
+        const icon = customEngineIcon.value.trim();
+        const suggestUrl = customEngineSuggestURL.value.trim();
+
+        if (!name || !isValidEngineTemplate(url) || (suggestUrl && !isValidEngineTemplate(suggestUrl))) {
+            await alertPrompt(translations[currentLanguage]?.invalidCustomEngine || translations["en"].invalidCustomEngine);
+            return;
+        }
+
+        // Suggestion endpoints of custom engines need their own host permission
+        if (suggestUrl) {
+            await requestOriginPermission(suggestUrl);
+        }
+
+        const engines = getCustomSearchEngines();
+        const engine = {
+            id: editingEngineId || `custom-${Date.now().toString(36)}`,
+            name,
+            url,
+            icon,
+            suggestUrl,
+            category: customEngineCategory.value
+        };
+
+        const index = engines.findIndex(e => e.id === engine.id);
+        if (index !== -1) {
+            engines[index] = engine;
+        } else {
+            engines.push(engine);
+        }
+
+        saveCustomSearchEngines(engines);
+        clearForm();
+        renderEngineList();
+        refreshCustomSearchEngines();
+    }
+
+    customEnginesEditButton.addEventListener("click", (event) => {
+        event.preventDefault();
+        event.stopPropagation();
+        openSearchEnginesModal();
+    });
+    closeSearchEnginesBtn.addEventListener("click", closeSearchEnginesModal);
+    searchEnginesOverlay.addEventListener("click", closeSearchEnginesModal);
+    clearCustomEngineBtn.addEventListener("click", () => {
+        clearForm();
+        renderEngineList();
+    });
+    saveCustomEngineBtn.addEventListener("click", saveCustomEngine);
+
+    // Move through the form with Enter and save on the last field
+    [customEngineName, customEngineURL, customEngineIcon].forEach((input, index, inputs) => {
+        input.addEventListener("keydown", (event) => {
+            if (event.key === "Enter") {
+                event.preventDefault();
+                (inputs[index + 1] || customEngineSuggestURL).focus();
+            }
+        });
+    });
+    customEngineSuggestURL.addEventListener("keydown", (event) => {
+        if (event.key === "Enter") {
+            event.preventDefault();
+            saveCustomEngineBtn.click();
+        }
+    });
+});
+
+// ----------------------- Search Engine Groups Manager -----------------------
+document.addEventListener("DOMContentLoaded", function () {
+    const engineGroupsModal = document.getElementById("engineGroupsModal");
+    const engineGroupsOverlay = document.getElementById("engineGroupsOverlay");
+    const engineGroupsEditButton = document.getElementById("engineGroupsEditButton");
+    const closeEngineGroupsBtn = document.getElementById("closeEngineGroupsBtn");
+    const engineGroupList = document.getElementById("engineGroupList");
+    const engineGroupName = document.getElementById("engineGroupName");
+    const engineGroupHotkey = document.getElementById("engineGroupHotkey");
+    const engineGroupEngines = document.getElementById("engineGroupEngines");
+    const clearEngineGroupBtn = document.getElementById("clearEngineGroupBtn");
+    const saveEngineGroupBtn = document.getElementById("saveEngineGroupBtn");
+
+    let editingGroupId = null;
+
+    // Name of an engine as shown in the search engine list
+    function getEngineName(engineValue) {
+        const radio = document.querySelector(`input[name="search-engine"][value="${engineValue}"]`);
+        return radio?.parentElement.querySelector(".engine-name")?.textContent.trim() || engineValue;
+    }
+
+    // A checkbox for every engine that has a search URL
+    function renderEngineChecks(checkedEngines = []) {
+        engineGroupEngines.innerHTML = "";
+
+        document.querySelectorAll('input[name="search-engine"]').forEach(radio => {
+            // The browser default engine can only search in the current tab
+            if (radio.value === "engine0") return;
+
+            const label = document.createElement("label");
+            label.className = "settings-modal-check";
+
+            const checkbox = document.createElement("input");
+            checkbox.type = "checkbox";
+            checkbox.value = radio.value;
+            checkbox.checked = checkedEngines.includes(radio.value);
+
+            const name = document.createElement("span");
+            name.textContent = getEngineName(radio.value);
+
+            label.append(checkbox, name);
+            engineGroupEngines.appendChild(label);
+        });
+    }
+
+    // Fill the list of saved groups
+    function renderGroupList() {
+        engineGroupList.innerHTML = "";
+
+        getSearchEngineGroups().forEach(group => {
+            const item = document.createElement("div");
+            item.className = "settings-modal-item";
+            item.classList.toggle("editing", group.id === editingGroupId);
+
+            const texts = document.createElement("div");
+            texts.className = "settings-item-texts";
+
+            const title = document.createElement("span");
+            title.className = "settings-item-title";
+            title.textContent = group.hotkey ? `${group.name} · Alt+${group.hotkey.toUpperCase()}` : group.name;
+
+            const subtitle = document.createElement("span");
+            subtitle.className = "settings-item-subtitle";
+            subtitle.textContent = group.engines.map(getEngineName).join(", ");
+
+            texts.append(title, subtitle);
+
+            const deleteButton = document.createElement("button");
+            deleteButton.className = "settings-item-delete";
+            deleteButton.textContent = "✖";
+
+            deleteButton.addEventListener("click", async (event) => {
+                event.stopPropagation();
+                const confirmMessage = (translations[currentLanguage]?.deleteEngineGroup || translations["en"].deleteEngineGroup)
+                    .replace("{title}", group.name);
+
+                if (await confirmPrompt(confirmMessage)) {
+                    saveSearchEngineGroups(getSearchEngineGroups().filter(g => g.id !== group.id));
+                    if (editingGroupId === group.id) clearForm();
+                    renderGroupList();
+                }
+            });
+
+            // Load the group into the form for editing
+            item.addEventListener("click", () => {
+                editingGroupId = group.id;
+                engineGroupName.value = group.name;
+                engineGroupHotkey.value = group.hotkey || "";
+                renderEngineChecks(group.engines);
+                renderGroupList();
+                engineGroupName.focus();
+            });
+
+            item.append(texts, deleteButton);
+            engineGroupList.appendChild(item);
+        });
+    }
+
+    function clearForm() {
+        editingGroupId = null;
+        engineGroupName.value = "";
+        engineGroupHotkey.value = "";
+        renderEngineChecks();
+    }
+
+    function openEngineGroupsModal() {
+        clearForm();
+        renderGroupList();
+        engineGroupsModal.style.display = "block";
+        engineGroupsOverlay.style.display = "block";
+    }
+
+    function closeEngineGroupsModal() {
+        engineGroupsModal.style.display = "none";
+        engineGroupsOverlay.style.display = "none";
+    }
+
+    async function saveEngineGroup() {
+        const name = engineGroupName.value.trim();
+        const hotkey = engineGroupHotkey.value.trim().toLowerCase();
+        const engines = Array.from(engineGroupEngines.querySelectorAll("input:checked")).map(checkbox => checkbox.value);
+        const groups = getSearchEngineGroups();
+        const isTaken = hotkey && groups.some(g => g.hotkey === hotkey && g.id !== editingGroupId);
+
+        if (!name || engines.length < 2 || (hotkey && !/^[a-z]$/.test(hotkey)) || isTaken) {
+            await alertPrompt(translations[currentLanguage]?.invalidEngineGroup || translations["en"].invalidEngineGroup);
+            return;
+        }
+
+        const group = {
+            id: editingGroupId || `group-${Date.now().toString(36)}`,
+            name,
+            engines,
+            hotkey
+        };
+
+        const index = groups.findIndex(g => g.id === group.id);
+        if (index !== -1) {
+            groups[index] = group;
+        } else {
+            groups.push(group);
+        }
+
+        saveSearchEngineGroups(groups);
+        clearForm();
+        renderGroupList();
+    }
+
+    engineGroupsEditButton.addEventListener("click", (event) => {
+        event.preventDefault();
+        event.stopPropagation();
+        openEngineGroupsModal();
+    });
+    closeEngineGroupsBtn.addEventListener("click", closeEngineGroupsModal);
+    engineGroupsOverlay.addEventListener("click", closeEngineGroupsModal);
+    clearEngineGroupBtn.addEventListener("click", () => {
+        clearForm();
+        renderGroupList();
+    });
+    saveEngineGroupBtn.addEventListener("click", saveEngineGroup);
+
+    [engineGroupName, engineGroupHotkey].forEach(input => {
+        input.addEventListener("keydown", (event) => {
+            if (event.key === "Enter") {
+                event.preventDefault();
+                saveEngineGroupBtn.click();
+            }
+        });
+    });
+});
@@ -0,0 +1,82 @@
+/*
+ * Material You NewTab
+ * Copyright (c) 2023-2025 XengShi
+ * Licensed under the GNU General Public License v3.0 (GPL-3.0)
+ * You should have received a copy of the GNU General Public License along with this program.
+ * If not, see <https://www.gnu.org/licenses/>.
+ */
+
+// ----------------------------- Search History -------------------------------
+// Past searches are kept only in localStorage, newest first, and only when the user opts in
+const searchHistoryStorageKey = "searchHistory";
+const maxSearchHistoryEntries = 100;
+const maxSearchHistoryMatches = 4;
+
+function isSearchHistoryEnabled() {
+    return localStorage.getItem("searchHistoryCheckboxState") === "checked";
+}
+
+function getSearchHistory() {
+    try {
+        const history = JSON.parse(localStorage.getItem(searchHistoryStorageKey) || "[]");
+        return Array.isArray(history) ? history : [];
+    } catch (error) {
+        return [];
+    }
+}
+
+function saveSearchHistory(history) {
+    localStorage.setItem(searchHistoryStorageKey, JSON.stringify(history));
+}
+
+// Move a search to the top of the history
+function addSearchHistoryEntry(query) {
+    const text = query.trim();
+    if (!text || !isSearchHistoryEnabled()) return;
+
+    const history = getSearchHistory().filter(entry => entry.toLowerCase() !== text.toLowerCase());
+    history.unshift(text);
+    saveSearchHistory(history.slice(0, maxSearchHistoryEntries));
+}
+
+function removeSearchHistoryEntry(query) {
+    saveSearchHistory(getSearchHistory().filter(entry => entry !== query));
+}
+
+function clearSearchHistory() {
+    localStorage.removeItem(searchHistoryStorageKey);
+}
+
+// Past searches containing the typed text, the ones starting with it first
+function getSearchHistoryMatches(query) {
+    const text = query.trim().toLowerCase();
+    if (!text || !isSearchHistoryEnabled()) return [];
+
+    const history = getSearchHistory();
+    const startsWith = history.filter(entry => entry.toLowerCase().startsWith(text));
+    const contains = history.filter(entry => !entry.toLowerCase().startsWith(text) && entry.toLowerCase().includes(text));
+
+    return [...startsWith, ...contains].slice(0, maxSearchHistoryMatches);
+}
+
+// ------------------------- Toggles --------------------------
+document.addEventListener("DOMContentLoaded", function () {
+    const searchHistoryCheckbox = document.getElementById("searchHistoryCheckbox");
+    const clearSearchHistoryButton = document.getElementById("clearSearchHistoryButton");
+
+    searchHistoryCheckbox.addEventListener("change", function () {
+        saveCheckboxState("searchHistoryCheckboxState", searchHistoryCheckbox);
+    });
+
+    clearSearchHistoryButton.addEventListener("click", async (event) => {
+        event.preventDefault();
+        event.stopPropagation();
+
+        const message = translations[currentLanguage]?.clearSearchHistoryConfirm || translations["en"].clearSearchHistoryConfirm;
+        if (await confirmPrompt(message)) {
+            clearSearchHistory();
+        }
+    });
+
+    loadCheckboxState("searchHistoryCheckboxState", searchHistoryCheckbox);
+});
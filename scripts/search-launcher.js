@@ -0,0 +1,64 @@
+/*
+ * Material You NewTab
+ * Copyright (c) 2023-2025 XengShi
+ * Licensed under the GNU General Public License v3.0 (GPL-3.0)
+ * You should have received a copy of the GNU General Public License along with this program.
+ * If not, see <https://www.gnu.org/licenses/>.
+ */
+
+// --------------------- Shortcuts and Bookmarks in Search --------------------
+// Rows for the result box that open a page directly instead of searching for it
+const maxShortcutMatches = 3;
+const maxBookmarkMatches = 3;
+
+// Readable form of a URL for the second line of a row
+function getDisplayUrl(url) {
+    try {
+        const { hostname, pathname } = new URL(url);
+        return hostname.replace(/^www\./, "") + (pathname === "/" ? "" : pathname);
+    } catch (error) {
+        return url;
+    }
+}
+
+// Shortcuts whose name or URL contain the typed text, the ones starting with it first
+function getShortcutMatches(query) {
+    const text = query.trim().toLowerCase();
+    if (!text || !document.getElementById("shortcutsCheckbox").checked) return [];
+
+    const matches = shortcutsCache
+        .filter(shortcut => shortcut && (shortcut.name.toLowerCase().includes(text) || shortcut.url.toLowerCase().includes(text)))
+        .sort((a, b) => b.name.toLowerCase().startsWith(text) - a.name.toLowerCase().startsWith(text));
+
+    return matches.slice(0, maxShortcutMatches).map(shortcut => {
+        const url = normalizeUrl(shortcut.url);
+        return { kind: "shortcut", text: shortcut.name, url, description: getDisplayUrl(url) };
+    });
+}
+
+// Bookmarks matching the typed text, only when the bookmarks feature is enabled
+function getBookmarkMatches(query) {
+    return new Promise(resolve => {
+        const text = query.trim();
+        if (!text || !bookmarksAPI?.search || !bookmarksCheckbox.checked) {
+            resolve([]);
+            return;
+        }
+
+        const toRows = (results) => (results || [])
+            .filter(bookmark => bookmark.url)
+            .slice(0, maxBookmarkMatches)
+            .map(bookmark => ({
+                kind: "bookmark",
+                text: bookmark.title || getDisplayUrl(bookmark.url),
+                url: bookmark.url,
+                description: getDisplayUrl(bookmark.url)
+            }));
+
+        if (isFirefox) {
+            bookmarksAPI.search(text).then(results => resolve(toRows(results)), () => resolve([]));
+        } else {
+            bookmarksAPI.search(text, results => resolve(chrome.runtime.lastError ? [] : toRows(results)));
+        }
+    });
+}
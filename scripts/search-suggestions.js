@@ -70,66 +70,239 @@ function hideResultBox() {
 showResultBox();
 hideResultBox();
 
-searchInput.addEventListener("input", async function () {
-    const searchsuggestionscheckbox = document.getElementById("searchsuggestionscheckbox");
-    if (searchsuggestionscheckbox.checked) {
-        const query = this.value;
-
-        // Store original text when user starts typing
-        originalSearchText = query;
-
-        if (query.length > 0) {
-            try {
-                // Fetch autocomplete suggestions
-                const suggestions = await getAutocompleteSuggestions(query);
-
-                if (suggestions === "") {
-                    hideResultBox();
-                } else {
-                    // Clear the result box
-                    resultBox.innerHTML = "";
-
-                    // Add suggestions to the result box
-                    suggestions.forEach((suggestion, index) => {
-                        const resultItem = document.createElement("div");
-                        resultItem.classList.add("resultItem");
-                        resultItem.textContent = suggestion;
-                        resultItem.setAttribute("data-index", index);
-
-                        resultItem.onclick = () => {
-                            performSearch(suggestion);
-                        };
-
-                        resultItem.addEventListener("mouseenter", () => {
-                            // Remove existing highlight
-                            const currentlyActive = resultBox.querySelector(".active");
-                            if (currentlyActive) currentlyActive.classList.remove("active");
-
-                            // Mark this as active
-                            resultItem.classList.add("active");
-                            lastInteractionBy = "mouse";
-                        });
-
-                        resultBox.appendChild(resultItem);
-                    });
-
-                    // Check if the dropdown of search shortcut is open
-                    const dropdown = document.querySelector(".dropdown-content");
-
-                    if (dropdown.style.display === "block") {
-                        dropdown.style.display = "none";
-                    }
-                    showResultBox();
-                }
-            } catch (error) {
-                // Handle the error (if needed)
-            }
+// Icon of the calculator row
+const calculatorIconSVG = `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24"><path d="M8 18q.425 0 .713-.288T9 17v-1h1q.425 0 .713-.288T11 15t-.288-.712T10 14H9v-1q0-.425-.288-.712T8 12t-.712.288T7 13v1H6q-.425 0-.712.288T5 15t.288.713T6 16h1v1q0 .425.288.713T8 18m6-.75h4q.325 0 .538-.213t.212-.537t-.213-.537t-.537-.213h-4q-.325 0-.537.213t-.213.537t.213.538t.537.212m0-2.5h4q.325 0 .538-.213t.212-.537t-.213-.537T18 14h-4q-.325 0-.537.213t-.213.537t.213.538t.537.212M6.75 8.5h2.5q.325 0 .538-.213T10 7.75t-.213-.537T9.25 7h-2.5q-.325 0-.537.213T6 7.75t.213.538t.537.212M5 21q-.825 0-1.412-.587T3 19V5q0-.825.588-1.412T5 3h14q.825 0 1.413.588T21 5v14q0 .825-.587 1.413T19 21zm9.7-12.2l.7-.7l.7.7q.225.225.525.225t.525-.225t.225-.525t-.225-.525l-.7-.7l.7-.7q.225-.225.225-.525t-.225-.525t-.525-.225t-.525.225l-.7.7l-.7-.7q-.225-.225-.525-.225t-.525.225t-.225.525t.225.525l.7.7l-.7.7q-.225.225-.225.525t.225.525t.525.225t.525-.225"/></svg>`;
+
+// Icon of the rows coming from the search history
+const historyIconSVG = `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24"><path d="M12 21q-3.45 0-6.012-2.287T3.05 13H5.1q.35 2.6 2.313 4.3T12 19q2.925 0 4.963-2.037T19 12t-2.037-4.962T12 5q-1.725 0-3.225.8T6.25 8H9v2H3V4h2v2.35q1.275-1.6 3.113-2.475T12 3q1.875 0 3.513.713t2.85 1.924t1.925 2.85T21 12t-.712 3.513t-1.925 2.85t-2.85 1.925T12 21m2.8-4.8L11 12.4V7h2v4.6l3.2 3.2z"/></svg>`;
+
+/**
+ * Create a row of the result box.
+ * @param {{kind: string, text: string, title?: string, url?: string, description?: string, image?: string}} row -
+ * "history" rows get an icon and a delete button, "calculator" rows show their answer and copy it, rows with a URL
+ * show its favicon and open it, rows with a title or image show them, plain "suggestion" rows only show their text.
+ * @param {number} index - Position of the row in the result box.
+ */
+function createResultItem(row, index) {
+    const resultItem = document.createElement("div");
+    resultItem.classList.add("resultItem");
+    resultItem.setAttribute("data-index", index);
+    resultItem.dataset.kind = row.kind;
+    resultItem.dataset.text = row.text;
+
+    if (row.kind === "history") {
+        const icon = document.createElement("span");
+        icon.className = "resultIcon";
+        icon.innerHTML = historyIconSVG;
+
+        const text = document.createElement("span");
+        text.className = "resultText";
+        text.textContent = row.text;
+
+        const deleteButton = document.createElement("button");
+        deleteButton.className = "resultDelete";
+        deleteButton.textContent = "✖";
+        deleteButton.addEventListener("click", (event) => {
+            event.stopPropagation();
+            removeSearchHistoryEntry(row.text);
+            removeResultItem(resultItem);
+            searchInput.focus();
+        });
+
+        resultItem.append(icon, text, deleteButton);
+    } else if (row.kind === "calculator") {
+        const icon = document.createElement("span");
+        icon.className = "resultIcon";
+        icon.innerHTML = calculatorIconSVG;
+
+        const texts = document.createElement("span");
+        texts.className = "resultText";
+
+        const description = document.createElement("span");
+        description.className = "resultDescription";
+        description.textContent = row.description;
+
+        const title = document.createElement("span");
+        title.textContent = row.title;
+
+        const copyButton = document.createElement("button");
+        copyButton.className = "resultCopy";
+        copyButton.title = translations[currentLanguage]?.copyResult || translations["en"].copyResult;
+        copyButton.textContent = "⧉";
+
+        texts.append(description, title);
+        resultItem.append(icon, texts, copyButton);
+    } else if (row.url || row.title || row.image) {
+        const texts = document.createElement("span");
+        texts.className = "resultText";
+
+        const title = document.createElement("span");
+        title.textContent = row.title || row.text;
+
+        const description = document.createElement("span");
+        description.className = "resultDescription";
+        description.textContent = row.description || "";
+
+        texts.append(title, description);
+
+        // The thumbnail leads the row, the favicon of the target page then moves to its end
+        if (row.image) {
+            const thumbnail = document.createElement("img");
+            thumbnail.className = "resultIcon resultThumbnail";
+            thumbnail.alt = "";
+            thumbnail.src = row.image;
+            thumbnail.onerror = () => thumbnail.remove();
+            resultItem.appendChild(thumbnail);
+        }
+
+        if (row.url) {
+            const favicon = document.createElement("img");
+            favicon.className = "resultIcon";
+            favicon.alt = "";
+            setBookmarkFavicon(favicon, row.url);
+            resultItem.append(...(row.image ? [texts, favicon] : [favicon, texts]));
+        } else {
+            resultItem.appendChild(texts);
+        }
+    } else {
+        resultItem.textContent = row.text;
+    }
+
+    resultItem.onclick = () => {
+        if (row.kind === "calculator") {
+            copyCalculatorResult(resultItem, row.text);
+        } else if (row.url) {
+            window.location.href = row.url;
         } else {
-            hideResultBox();
+            performSearch(row.text);
         }
+    };
+
+    resultItem.addEventListener("mouseenter", () => {
+        // Remove existing highlight
+        const currentlyActive = resultBox.querySelector(".active");
+        if (currentlyActive) currentlyActive.classList.remove("active");
+
+        // Mark this as active
+        resultItem.classList.add("active");
+        lastInteractionBy = "mouse";
+    });
+
+    return resultItem;
+}
+
+// Copy the answer of the calculator row and confirm it on its button
+function copyCalculatorResult(resultItem, value) {
+    navigator.clipboard.writeText(value).then(() => {
+        const copyButton = resultItem.querySelector(".resultCopy");
+        copyButton.textContent = "✓";
+        setTimeout(() => copyButton.textContent = "⧉", 1500);
+    }).catch(error => console.error("Error copying the result:", error));
+}
+
+// Remove a row and keep the indexes used by the keyboard navigation in order
+function removeResultItem(resultItem) {
+    resultItem.remove();
+    Array.from(resultBox.children).forEach((item, index) => item.setAttribute("data-index", index));
+    if (resultBox.children.length === 0) {
+        hideResultBox();
+    }
+}
+
+// Replace the content of the result box with the given rows
+function renderResultRows(rows) {
+    if (rows.length === 0) {
+        hideResultBox();
+        return;
+    }
+
+    // Clear the result box
+    resultBox.innerHTML = "";
+
+    // Add rows to the result box
+    rows.forEach((row, index) => {
+        resultBox.appendChild(createResultItem(row, index));
+    });
+
+    // Check if the dropdown of search shortcut is open
+    const dropdown = document.querySelector(".dropdown-content");
+
+    if (dropdown.style.display === "block") {
+        dropdown.style.display = "none";
+    }
+    showResultBox();
+}
+
+// Increases with every input, so slower answers for older text are ignored
+let latestInputId = 0;
+
+searchInput.addEventListener("input", async function () {
+    const searchsuggestionscheckbox = document.getElementById("searchsuggestionscheckbox");
+    const query = this.value;
+    const inputId = ++latestInputId;
+
+    // Store original text when user starts typing
+    originalSearchText = query;
+
+    if (query.trim().length === 0) {
+        cancelScheduledSuggestions();
+        hideResultBox();
+        return;
+    }
+
+    // The answer of a calculation or conversion is always the first row
+    const calculatorResult = getCalculatorResult(query);
+
+    // Past searches come first and work without any network request
+    const historyMatches = getSearchHistoryMatches(query);
+    // Shortcuts and bookmarks open directly and are shown above web suggestions
+    const pageRows = [...getShortcutMatches(query), ...await getBookmarkMatches(query)];
+    if (inputId !== latestInputId) return;
+
+    const localRows = [
+        ...(calculatorResult ? [calculatorResult] : []),
+        ...historyMatches.map(text => ({ kind: "history", text })),
+        ...pageRows.filter((row, index) => pageRows.findIndex(other => other.url === row.url) === index)
+    ];
+
+    // Suggest for the query after a bang, from the engine of the bang
+    const bangMatch = matchSearchBang(query);
+    const suggestionQuery = bangMatch ? bangMatch.query : query;
+
+    if (!searchsuggestionscheckbox.checked || suggestionQuery.length === 0) {
+        cancelScheduledSuggestions();
+        renderResultRows(localRows);
+        return;
+    }
+
+    // Show the local rows right away while waiting for the web suggestions
+    if (localRows.length > 0) {
+        renderResultRows(localRows);
+    }
+
+    let suggestions = await scheduleSuggestions(suggestionQuery, bangMatch?.bang.engine || undefined, bangMatch?.bang.url);
+
+    // A newer input replaced this one while waiting
+    if (suggestions === null || inputId !== latestInputId) return;
+
+    // Keep the bang in every suggestion
+    if (bangMatch) {
+        suggestions = suggestions.map(row => ({ ...row, text: bangMatch.prefix + row.text + bangMatch.suffix }));
     }
+
+    const lowerHistory = historyMatches.map(entry => entry.toLowerCase());
+    renderResultRows([
+        ...localRows,
+        ...suggestions.filter(row => !lowerHistory.includes(row.text.toLowerCase())
+            && !(row.url && pageRows.some(pageRow => pageRow.url === row.url)))
+    ]);
 });
 
+// Rows of shortcuts and bookmarks, named after the page instead of a search
+function isLauncherRow(resultItem) {
+    return ["shortcut", "bookmark"].includes(resultItem.dataset.kind);
+}
+
 searchInput.addEventListener("keydown", function (e) {
     const activeItem = resultBox.querySelector(".active");
     let currentIndex = activeItem ? parseInt(activeItem.getAttribute("data-index")) : -1;
@@ -156,17 +329,17 @@ searchInput.addEventListener("keydown", function (e) {
             const activeElement = resultBox.children[currentIndex];
             activeElement.scrollIntoView({ behavior: "smooth", block: "nearest" });
 
-            // Auto-complete the search input with selected suggestion
-            const suggestionText = activeElement.textContent;
-            this.value = suggestionText;
+            // Auto-complete the search input with selected suggestion,
+            // shortcuts and bookmarks open a page so the typed text stays
+            this.value = isLauncherRow(activeElement) ? originalSearchText : activeElement.dataset.text;
 
-        } else if ((e.key === "ArrowRight" || e.key === "Tab") && activeItem && lastInteractionBy === "mouse") {
+        } else if ((e.key === "ArrowRight" || e.key === "Tab") && activeItem && !isLauncherRow(activeItem) && lastInteractionBy === "mouse") {
             // Check if cursor is at end
             const cursorAtEnd = this.selectionStart === this.value.length;
 
             if (cursorAtEnd) {
                 e.preventDefault();
-                const suggestionText = activeItem.textContent;
+                const suggestionText = activeItem.dataset.text;
                 this.value = suggestionText;
             }
 
@@ -197,81 +370,168 @@ searchInput.addEventListener("keydown", function (e) {
     }
 });
 
-// Check for different browsers and return the corresponding client parameter
-function getClientParam() {
-    if (isFirefox) return "firefox";
-    if (isOpera) return "opera";
-    if (isChromiumBased) return "chrome";
-    if (isSafari) return "safari";
-    return "firefox"; // Default to Firefox if the browser is not recognized
-}
+// Host permissions already asked for on this page, so a refusal is not asked again on every key
+const askedProviderPermissions = new Set();
 
-let lastRedditRequestTime = 0;
+// Check whether a provider can be reached before sending any query to it.
+// The permission of the selected engine is asked for when suggestions are turned on,
+// the others when a bang, a custom engine or another engine first needs them.
+function hasProviderPermission(provider) {
+    // Firefox grants the host permissions of the manifest at install
+    if (!provider.permission || isFirefoxAll || !window.chrome?.permissions) {
+        return Promise.resolve(true);
+    }
+    return new Promise(resolve => {
+        chrome.permissions.contains({ origins: [provider.permission] }, (granted) => {
+            if (!chrome.runtime.lastError && granted) {
+                resolve(true);
+            } else if (askedProviderPermissions.has(provider.permission)) {
+                resolve(false);
+            } else {
+                resolve(requestProviderPermission(provider));
+            }
+        });
+    });
+}
 
-async function getAutocompleteSuggestions(query) {
-    const clientParam = getClientParam(); // Get the browser client parameter dynamically
-    var selectedOption = document.querySelector('input[name="search-engine"]:checked').value;
+function requestProviderPermission(provider) {
+    askedProviderPermissions.add(provider.permission);
+    return new Promise(resolve => {
+        chrome.permissions.request({ origins: [provider.permission] }, (granted) => {
+            resolve(!chrome.runtime.lastError && !!granted);
+        });
+    });
+}
 
-    // 🔒 Throttle Reddit API calls
-    const now = Date.now();
-    if (selectedOption === "engine7") {
-        if (now - lastRedditRequestTime < 1000) {
-            return []; // skip call if within 1 second
-        }
-        lastRedditRequestTime = now;
+// Only web links may be opened or loaded from a suggestion
+function isWebURL(url) {
+    try {
+        return ["http:", "https:"].includes(new URL(url).protocol);
+    } catch (error) {
+        return false;
     }
+}
 
-    const searchSuggestionsAPI = {
-        engine0: `https://duckduckgo.com/ac/?q=${encodeURIComponent(query)}&type=list`,
-        engine1: `https://www.google.com/complete/search?client=${clientParam}&q=${encodeURIComponent(query)}`,
-        engine2: `https://duckduckgo.com/ac/?q=${encodeURIComponent(query)}&type=list`,
-        engine4: `https://search.brave.com/api/suggest?q=${encodeURIComponent(query)}&rich=true&source=web`,
-        engine5: `https://www.google.com/complete/search?client=${clientParam}&ds=yt&q=${encodeURIComponent(query)}`,
-        engine7: `https://www.reddit.com/search.json?q=${encodeURIComponent(query)}&sort=relevance&limit=15`,
-        engine8: `https://${languageCode}.wikipedia.org/w/api.php?action=opensearch&search=${encodeURIComponent(query)}&format=json`
+// Turn what a provider returns, a text or a SuggestionEntry, into a row of the result box
+function toSuggestionRow(entry) {
+    if (typeof entry === "string") return { kind: "suggestion", text: entry };
+    if (!entry?.text) return null;
+
+    return {
+        kind: "suggestion",
+        text: String(entry.text),
+        title: entry.title ? String(entry.title) : undefined,
+        description: entry.description ? String(entry.description) : undefined,
+        url: isWebURL(entry.url) ? entry.url : undefined,
+        image: isWebURL(entry.image) ? entry.image : undefined
     };
+}
 
+/**
+ * Get the suggestions of the provider of an engine.
+ * @param {string} query - The text to get suggestions for.
+ * @param {string} [selectedOption] - The engine to suggest for, the active one by default.
+ * @param {string} [searchURL] - The search URL of a bang, to find a provider for its website.
+ * @param {AbortSignal} [signal] - Cancels the request when a newer one replaces it.
+ * @returns {Promise<Object[] | null>} The suggestion rows, or null if the request was cancelled.
+ */
+async function getAutocompleteSuggestions(query, selectedOption = getActiveSearchEngine(), searchURL = "", signal = undefined) {
+    const provider = getSuggestionProvider(selectedOption, searchURL);
     const useproxyCheckbox = document.getElementById("useproxyCheckbox");
-    let apiUrl = searchSuggestionsAPI[selectedOption] || searchSuggestionsAPI["engine1"];
-    if (useproxyCheckbox.checked && selectedOption !== "engine7") {
+    const useProxy = useproxyCheckbox.checked && provider.proxy;
+
+    // Without network or host permission, only the local history is suggested
+    if (!navigator.onLine || (!useProxy && !(await hasProviderPermission(provider)))) {
+        return [];
+    }
+
+    let apiUrl = provider.endpoint(query);
+    if (useProxy) {
         apiUrl = proxyurl + encodeURIComponent(apiUrl);
     }
 
     try {
-        const response = await fetch(apiUrl);
+        const response = await fetch(apiUrl, { signal });
         const data = await response.json();
-
-        if (selectedOption === "engine4") {
-            const suggestions = data[1].map(item => {
-                if (item.is_entity) {
-                    return `${item.q} - ${item.name} (${item.category ? item.category : "No category"})`;
-                } else {
-                    return item.q;
-                }
-            });
-            return suggestions;
-
-        } else if (selectedOption === "engine7") {
-            const suggestions = [];
-            if (data && data.data && data.data.children) {
-                data.data.children.forEach(post => {
-                    if (post.data && post.data.title) {
-                        const subreddit = post.data.subreddit_name_prefixed;
-                        suggestions.push(`${post.data.title} (${subreddit})`);
-                    }
-                });
-            }
-            return suggestions;
-
-        } else {
-            return data[1];
-        }
+        return provider.parse(data).map(toSuggestionRow).filter(Boolean);
     } catch (error) {
+        if (error.name === "AbortError") return null;
         console.error("Error fetching autocomplete suggestions:", error);
         return [];
     }
 }
 
+// ---------------------------- Request Scheduler -----------------------------
+// Waits for a pause in typing (the debounce of the provider), cancels the request
+// of older text and remembers recent answers so retyping does not hit the network
+const maxCachedSuggestions = 100;
+const suggestionCache = new Map(); // Least recently used entries first
+let scheduledSuggestions = null; // { timer, controller, resolve } of the latest request
+
+function getCachedSuggestions(key) {
+    if (!suggestionCache.has(key)) return undefined;
+
+    // Move the entry to the end as the most recently used
+    const suggestions = suggestionCache.get(key);
+    suggestionCache.delete(key);
+    suggestionCache.set(key, suggestions);
+    return suggestions;
+}
+
+function cacheSuggestions(key, suggestions) {
+    suggestionCache.delete(key);
+    suggestionCache.set(key, suggestions);
+    if (suggestionCache.size > maxCachedSuggestions) {
+        suggestionCache.delete(suggestionCache.keys().next().value);
+    }
+}
+
+// Stop the waiting or running request, its caller gets null
+function cancelScheduledSuggestions() {
+    if (!scheduledSuggestions) return;
+
+    clearTimeout(scheduledSuggestions.timer);
+    scheduledSuggestions.controller.abort();
+    scheduledSuggestions.resolve(null);
+    scheduledSuggestions = null;
+}
+
+/**
+ * Get suggestions through the scheduler, replacing any earlier request.
+ * @param {string} query - The text to get suggestions for.
+ * @param {string} [engineValue] - The engine to suggest for, the active one by default.
+ * @param {string} [searchURL] - The search URL of a bang.
+ * @returns {Promise<Object[] | null>} The suggestion rows, or null if a newer request replaced this one.
+ */
+function scheduleSuggestions(query, engineValue, searchURL) {
+    cancelScheduledSuggestions();
+
+    const provider = getSuggestionProvider(engineValue || getActiveSearchEngine(), searchURL);
+    const cacheKey = `${provider.id}:${query}`;
+    const cached = getCachedSuggestions(cacheKey);
+    if (cached) return Promise.resolve(cached);
+
+    return new Promise(resolve => {
+        const request = { controller: new AbortController(), resolve };
+
+        request.timer = setTimeout(async () => {
+            const suggestions = await getAutocompleteSuggestions(query, engineValue, searchURL, request.controller.signal);
+
+            // Ignore answers of requests that were replaced meanwhile
+            if (scheduledSuggestions !== request) return;
+            scheduledSuggestions = null;
+
+            // Empty answers may come from being offline, so they are not kept
+            if (suggestions?.length) {
+                cacheSuggestions(cacheKey, suggestions);
+            }
+            resolve(suggestions || []);
+        }, provider.debounce);
+
+        scheduledSuggestions = request;
+    });
+}
+
 // Hide results when clicking outside
 document.addEventListener("click", function (event) {
     if (!searchbar.contains(event.target)) {
@@ -292,20 +552,10 @@ document.addEventListener("DOMContentLoaded", function () {
         return await confirmPrompt(message, agreeText, cancelText);
     }
 
-    // Requests optional host permissions for suggestion APIs
+    // Requests the host permission of the selected engine's suggestions, the others wait until they are used
     async function requestHostPermissions() {
-        return new Promise((resolve) => {
-            chrome.permissions.request({
-                origins: [
-                    "https://www.google.com/complete/search?client=*",
-                    "https://duckduckgo.com/ac/?q=*",
-                    "https://search.brave.com/api/suggest?q=*",
-                    "https://*.wikipedia.org/w/api.php?action=opensearch&search=*"
-                ]
-            }, (granted) => {
-                resolve(granted);
-            });
-        });
+        const provider = getSuggestionProvider(getActiveSearchEngine());
+        return provider.permission ? requestProviderPermission(provider) : true;
     }
 
     // Add change event listeners for the checkboxes
@@ -22,6 +22,18 @@ const searchQueryURLs = {
     engine9: "https://www.quora.com/search?q="
 };
 
+// Build the search URL of a built-in or user-defined engine
+function getSearchURL(engineValue, searchTerm) {
+    const customEngine = getCustomSearchEngine(engineValue);
+    if (customEngine) {
+        return buildCustomEngineURL(customEngine.url, searchTerm);
+    }
+    return (searchQueryURLs[engineValue] || searchQueryURLs.engine1) + encodeURIComponent(searchTerm);
+}
+
+// Add the user-defined engines to the radio list and the dropdown
+renderCustomSearchEngines();
+
 // Showing border or outline when you click on the searchbar
 searchbar.addEventListener("click", function (event) {
     event.stopPropagation();
@@ -41,7 +53,6 @@ document.addEventListener("click", function (event) {
 
 // Search mode function
 const searchWith = document.getElementById("searchWithHint");
-const searchEngines = document.querySelectorAll(".searchEnginesContainer .search-engine");
 const searchEnginesContainer = document.querySelector(".searchEnginesContainer");
 let activeSearchMode = localStorage.getItem("activeSearchMode") || "search-with";
 
@@ -64,11 +75,15 @@ function toggleSearchEngines(category) {
         "search-with": "engine0",
         "search-on": "engine5",
     };
-    const checkeditem = localStorage.getItem(`selectedSearchEngine-${category}`) || defaultItems[category];
+    let checkeditem = localStorage.getItem(`selectedSearchEngine-${category}`) || defaultItems[category];
+    // Fall back to the default engine if the stored one was removed
+    if (!document.querySelector(`input[name="search-engine"][value="${checkeditem}"]`)) {
+        checkeditem = defaultItems[category];
+    }
     const searchModeName = category === "search-with" ? "searchWithHint" : "searchOnHint";
     searchWith.innerText = translations[currentLanguage][searchModeName] || translations["en"][searchModeName];
 
-    searchEngines.forEach(engine => {
+    document.querySelectorAll(".searchEnginesContainer .search-engine").forEach(engine => {
         if (engine.getAttribute("data-category") === category) {
             engine.style.display = "flex";
         } else {
@@ -78,7 +93,7 @@ function toggleSearchEngines(category) {
         if (engine.lastElementChild.value === checkeditem) {
             const radioBtn = engine.querySelector('input[type="radio"]');
             radioBtn.checked = true;
-            radioBtn.dispatchEvent(new Event("change"));
+            radioBtn.dispatchEvent(new Event("change", { bubbles: true }));
         }
     });
 }
@@ -107,7 +122,7 @@ document.querySelector(".dropdown-btn").addEventListener("click", function () {
     if (resultBox.classList.toString().includes("show")) return;
 
     // Clear selected state and reset index when dropdown opens
-    dropdownItems.forEach(item => item.classList.remove("selected"));
+    getDropdownItems().forEach(item => item.classList.remove("selected"));
     selectedIndex = -1;
 
     dropdown.classList.toggle("show");
@@ -116,17 +131,19 @@ document.querySelector(".dropdown-btn").addEventListener("click", function () {
 
 const enterBTN = document.getElementById("enterBtn");
 const searchEngineRadio = document.getElementsByName("search-engine");
-const searchDropdowns = document.querySelectorAll('[id$="-dropdown"]:not(*[data-default])');
 const defaultEngine = document.querySelector('#default-dropdown-item div[id$="-dropdown"]');
 
 const sortDropdown = () => {
     // Change the elements to the array
-    const elements = Array.from(searchDropdowns);
+    const elements = Array.from(document.querySelectorAll('[id$="-dropdown"]:not(*[data-default])'));
+
+    // Engines are ordered as they appear in the radio list, custom engines last
+    const engineOrder = Array.from(searchEngineRadio).map(radio => radio.value);
 
     // Sort the dropdown
     const sortedDropdowns = elements.sort((a, b) => {
-        const engineA = parseInt(a.getAttribute("data-engine"), 10);
-        const engineB = parseInt(b.getAttribute("data-engine"), 10);
+        const engineA = engineOrder.indexOf(a.getAttribute("data-engine"));
+        const engineB = engineOrder.indexOf(b.getAttribute("data-engine"));
 
         return engineA - engineB;
     })
@@ -140,46 +157,53 @@ const sortDropdown = () => {
     }
 }
 
-// This will add event listener for click in the search bar
-searchDropdowns.forEach(element => {
-    element.addEventListener("click", () => {
-        const engine = element.getAttribute("data-engine");
-        const radioButton = document.querySelector(`input[type="radio"][value="engine${engine}"]`);
-        const selector = `*[data-engine-name=${element.getAttribute("data-engine-name")}]`;
+// Bring the given engine into the dropdown button and keep the rest in order
+function showEngineInDropdown(engineValue) {
+    swapDropdown(`*[data-engine="${engineValue}"]`);
+    sortDropdown();
+}
 
-        radioButton.checked = true;
+// Select the engine of a dropdown item and remember it for its search mode
+function selectDropdownEngine(element) {
+    const engine = element.getAttribute("data-engine");
+    const radioButton = document.querySelector(`input[type="radio"][value="${engine}"]`);
+    if (!radioButton) return;
 
-        // Swap the dropdown and sort them
-        swapDropdown(selector);
-        sortDropdown()
+    radioButton.checked = true;
 
-        localStorage.setItem(`selectedSearchEngine-${radioButton.parentElement.dataset.category}`, radioButton.value);
-        localStorage.setItem(`activeSearchMode`, radioButton.parentElement.dataset.category);
-    });
+    // Swap the dropdown and sort them
+    showEngineInDropdown(engine);
+    setSearchEngineOverride(null);
+
+    localStorage.setItem(`selectedSearchEngine-${radioButton.parentElement.dataset.category}`, radioButton.value);
+    localStorage.setItem(`activeSearchMode`, radioButton.parentElement.dataset.category);
+}
+
+// This will add event listener for click in the search bar
+dropdown.addEventListener("click", (event) => {
+    const element = event.target.closest(".dropdown-item");
+    if (element) selectDropdownEngine(element);
 });
 
 // Make entire search-engine div clickable
-document.querySelectorAll(".search-engine").forEach((engineDiv) => {
-    engineDiv.addEventListener("click", (event) => {
-        event.stopPropagation();
-        const radioButton = engineDiv.querySelector('input[type="radio"]');
+searchEnginesContainer.addEventListener("click", (event) => {
+    const engineDiv = event.target.closest(".search-engine");
+    if (!engineDiv) return;
 
-        radioButton.checked = true;
-
-        const radioButtonValue = radioButton.value.charAt(radioButton.value.length - 1);
+    event.stopPropagation();
+    const radioButton = engineDiv.querySelector('input[type="radio"]');
 
-        const selector = `[data-engine="${radioButtonValue}"]`;
+    radioButton.checked = true;
 
-        // Swap the dropdown
-        swapDropdown(selector);
-        sortDropdown();
+    // Swap the dropdown
+    showEngineInDropdown(radioButton.value);
+    setSearchEngineOverride(null);
 
-        localStorage.setItem(`selectedSearchEngine-${radioButton.parentElement.dataset.category}`, radioButton.value);
-        localStorage.setItem(`activeSearchMode`, radioButton.parentElement.dataset.category);
+    localStorage.setItem(`selectedSearchEngine-${radioButton.parentElement.dataset.category}`, radioButton.value);
+    localStorage.setItem(`activeSearchMode`, radioButton.parentElement.dataset.category);
 
-        searchInput.focus();
-        searchbar.classList.add("active");
-    });
+    searchInput.focus();
+    searchbar.classList.add("active");
 });
 
 /**
@@ -190,6 +214,7 @@ document.querySelectorAll(".search-engine").forEach((engineDiv) => {
 function swapDropdown(selectedElement) {
     // Swap innerHTML
     const element = document.querySelector(selectedElement);
+    if (!element || element === defaultEngine) return;
     const tempHTML = defaultEngine.innerHTML;
     defaultEngine.innerHTML = element.innerHTML;
     element.innerHTML = tempHTML;
@@ -202,11 +227,96 @@ function swapDropdown(selectedElement) {
     });
 }
 
+// -------------------------- Search Engine Groups ----------------------------
+// A group runs a query on several engines at once, each in its own tab.
+// Groups are stored as { id, name, engines, hotkey } where "engines" are radio values
+// and "hotkey" is a letter that picks the group with Alt while typing.
+const searchEngineGroupsStorageKey = "searchEngineGroups";
+
+// Icon of a group in the searchbar
+const engineGroupIconSVG = `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24"><path d="M4 21q-.825 0-1.412-.587T2 19V8q0-.425.288-.712T3 7t.713.288T4 8v11h13q.425 0 .713.288T18 20t-.288.713T17 21zm4-4q-.825 0-1.412-.587T6 15V5q0-.825.588-1.412T8 3h12q.825 0 1.413.588T22 5v10q0 .825-.587 1.413T20 17zm0-2h12V7H8z"/></svg>`;
+
+function getSearchEngineGroups() {
+    try {
+        const groups = JSON.parse(localStorage.getItem(searchEngineGroupsStorageKey) || "[]");
+        return Array.isArray(groups) ? groups : [];
+    } catch (error) {
+        return [];
+    }
+}
+
+function saveSearchEngineGroups(groups) {
+    localStorage.setItem(searchEngineGroupsStorageKey, JSON.stringify(groups));
+}
+
+function getSearchEngineGroup(id) {
+    return getSearchEngineGroups().find(group => group.id === id) || null;
+}
+
+// Open the search of every engine of a group, the first one in this tab and the rest in the background.
+// The tabs are opened one by one so they keep the order of the group.
+async function openSearchEngineGroup(group, searchTerm) {
+    const engines = group.engines
+        .map(engine => document.querySelector(`input[name="search-engine"][value="${engine}"]`))
+        .filter(Boolean);
+    if (engines.length === 0) return;
+
+    const [firstURL, ...otherURLs] = engines.map(radio => getSearchURL(radio.value, searchTerm));
+    const tabsAPI = isFirefox ? browser.tabs : isChromiumBased ? chrome.tabs : undefined;
+
+    // Outside of the extension pages, popups are the only way to open tabs.
+    // They are opened before anything is awaited, later the browser blocks them.
+    if (!tabsAPI?.create) {
+        otherURLs.forEach(url => window.open(url, "_blank"));
+        window.location.href = firstURL;
+        return;
+    }
+
+    const failedEngines = [];
+    for (const [index, url] of otherURLs.entries()) {
+        try {
+            await tabsAPI.create({ url, active: false });
+        } catch (error) {
+            console.error("Error opening search tab:", error);
+            failedEngines.push(engines[index + 1].parentElement.querySelector(".engine-name").textContent.trim());
+        }
+    }
+
+    if (failedEngines.length) {
+        const message = translations[currentLanguage]?.engineGroupTabsFailed || translations["en"].engineGroupTabsFailed;
+        await alertPrompt(message.replace("{engines}", failedEngines.join(", ")));
+    }
+    window.location.href = firstURL;
+}
+
+// Engine used for the current query only, set from the keyboard and never saved
+let searchEngineOverride = null;
+
+// The engine the next search goes to: the one-off override or the selected radio
+function getActiveSearchEngine() {
+    return searchEngineOverride || document.querySelector('input[name="search-engine"]:checked').value;
+}
+
 // Function to perform search
 function performSearch(query) {
-    const selectedOption = document.querySelector('input[name="search-engine"]:checked').value;
+    const selectedOption = getActiveSearchEngine();
     const searchTerm = query || searchInput.value;
 
+    addSearchHistoryEntry(searchTerm);
+
+    // Bangs and keywords take the query to another engine
+    const bangURL = resolveSearchBang(searchTerm);
+    if (bangURL) {
+        window.location.href = bangURL;
+        return;
+    }
+
+    const group = getSearchEngineGroup(selectedOption);
+    if (group && searchTerm !== "") {
+        openSearchEngineGroup(group, searchTerm);
+        return;
+    }
+
     if (searchTerm !== "") {
         if (selectedOption === "engine0") {
             try {
@@ -221,8 +331,7 @@ function performSearch(query) {
                 window.location.href = fallbackUrl;
             }
         } else {
-            var searchUrl = searchQueryURLs[selectedOption] + encodeURIComponent(searchTerm);
-            window.location.href = searchUrl;
+            window.location.href = getSearchURL(selectedOption, searchTerm);
         }
     }
 }
@@ -231,38 +340,101 @@ function performSearch(query) {
 enterBTN.addEventListener("click", () => performSearch());
 // Enter key handling is managed in the search suggestions keydown listener
 
-// Set selected search engine from local storage
-const storedSearchEngine = localStorage.getItem(`selectedSearchEngine-${activeSearchMode}`);
+// ------------------------ Engine Override from Keyboard ---------------------
+// Alt+number picks an engine while typing and Alt+letter the group with that hotkey.
+// Tab is left to the suggestions and the focus. The choice lasts for the current
+// query and does not change the selected engine.
+const engineOverrideChip = document.getElementById("searchEngineOverride");
+
+function setSearchEngineOverride(engineValue) {
+    const selectedEngine = document.querySelector('input[name="search-engine"]:checked').value;
+    searchEngineOverride = engineValue && engineValue !== selectedEngine ? engineValue : null;
+
+    const radio = searchEngineOverride && document.querySelector(`input[name="search-engine"][value="${searchEngineOverride}"]`);
+    const group = searchEngineOverride && getSearchEngineGroup(searchEngineOverride);
+    if (!radio && !group) {
+        searchEngineOverride = null;
+        engineOverrideChip.hidden = true;
+        engineOverrideChip.replaceChildren();
+        return;
+    }
+
+    // Show the icon and name of the engine as in the engine list
+    const name = document.createElement("span");
+    let icon;
+    if (group) {
+        icon = document.createElement("span");
+        icon.className = "search-engine-icon";
+        icon.innerHTML = engineGroupIconSVG;
+        name.textContent = group.name;
+    } else {
+        icon = radio.parentElement.querySelector(".search-engine-icon").cloneNode(true);
+        name.textContent = radio.parentElement.querySelector(".engine-name").textContent.trim();
+    }
+
+    engineOverrideChip.replaceChildren(icon, name);
+    engineOverrideChip.title = translations[currentLanguage]?.searchEngineOverrideHint || translations["en"].searchEngineOverrideHint;
+    engineOverrideChip.hidden = false;
+}
 
-toggleSearchEngines(activeSearchMode);
+// Alt alone, not AltGr or Option typing a character like "@" or "{" on some keyboard layouts
+function isEngineHotkey(event, character) {
+    return event.altKey && !event.ctrlKey && !event.metaKey && !event.getModifierState("AltGraph") &&
+        event.key.toLowerCase() === character;
+}
 
-if (storedSearchEngine) {
-    // Find Serial Number - SN with the help of charAt.
-    const storedSearchEngineSN = storedSearchEngine.charAt(storedSearchEngine.length - 1);
-    const defaultDropdownSN = document.querySelector("*[data-default]").getAttribute("data-engine");
+searchInput.addEventListener("keydown", (event) => {
+    const engines = Array.from(searchEngineRadio);
+    const digit = event.code.match(/^Digit([1-9])$/)?.[1];
+    const letter = event.code.match(/^Key([A-Z])$/)?.[1].toLowerCase();
+    const group = letter && isEngineHotkey(event, letter) && getSearchEngineGroups().find(g => g.hotkey === letter);
+
+    if (digit && isEngineHotkey(event, digit) && engines[digit - 1]) {
+        setSearchEngineOverride(engines[digit - 1].value);
+    } else if (group) {
+        // The same hotkey again goes back to the selected engine
+        setSearchEngineOverride(searchEngineOverride === group.id ? null : group.id);
+    } else if (event.key === "Escape" && searchEngineOverride) {
+        setSearchEngineOverride(null);
+    } else {
+        return;
+    }
 
-    // check if the default selected search engine is same as the stored one.
-    if (storedSearchEngineSN !== defaultDropdownSN) {
-        // The following line will find out the appropriate dropdown for the selected search engine.
-        const selector = `*[data-engine="${storedSearchEngineSN}"]`;
+    event.preventDefault();
+    // Get suggestions from the new engine
+    if (searchInput.value.trim()) {
+        searchInput.dispatchEvent(new Event("input"));
+    }
+});
 
-        swapDropdown(selector);
-        sortDropdown();
+// A new query starts with the selected engine again
+searchInput.addEventListener("input", () => {
+    if (!searchInput.value && searchEngineOverride) {
+        setSearchEngineOverride(null);
     }
+});
 
-    const selectedRadioButton = document.querySelector(`input[name="search-engine"][value="${storedSearchEngine}"]`);
+// Apply the stored search engine of the active mode to the radios and the dropdown
+function applyStoredSearchEngine() {
+    const storedSearchMode = localStorage.getItem("activeSearchMode") || "search-with";
+    toggleSearchEngines(storedSearchMode);
+
+    const selectedRadioButton = document.querySelector('input[name="search-engine"]:checked');
     if (selectedRadioButton) {
-        selectedRadioButton.checked = true;
+        showEngineInDropdown(selectedRadioButton.value);
     }
 }
 
-const dropdownItems = document.querySelectorAll(".dropdown-item:not(*[data-default])");
+// Set selected search engine from local storage
+applyStoredSearchEngine();
+
+const getDropdownItems = () => document.querySelectorAll(".dropdown-item:not(*[data-default])");
 let selectedIndex = -1;
 
 // Function to update the selected item
 function updateSelection() {
     // let hasSelected = [];
-    dropdownItems.forEach((item, index) => {
+    getDropdownItems().forEach((item, index) => {
 
         item.addEventListener("mouseenter", () => {
             item.classList.add("selected");
@@ -284,6 +456,7 @@ function updateSelection() {
 // Event listener for keydown events to navigate up/down
 document.querySelector(".dropdown").addEventListener("keydown", function (event) {
     if (dropdown.classList.contains("show")) {
+        const dropdownItems = getDropdownItems();
         if (event.key === "ArrowDown") {
             event.preventDefault();  // Prevent the page from scrolling
             selectedIndex = (selectedIndex + 1) % dropdownItems.length; // Move down, loop around
@@ -302,15 +475,8 @@ document.querySelector(".dropdown").addEventListener("keydown", function (event)
             const selectedItem = document.querySelector(".dropdown-content .selected");
             if (!selectedItem) return;
 
-            const engine = selectedItem.getAttribute("data-engine");
-            const radioButton = document.querySelector(`input[type="radio"][value="engine${engine}"]`);
-            radioButton.checked = true;
-
             // Swap the dropdown and sort them
-            swapDropdown(`*[data-engine="${engine}"]`);
-            sortDropdown();
-
-            localStorage.setItem("selectedSearchEngine", radioButton.value);
+            selectDropdownEngine(selectedItem);
 
             // Close the dropdown after selection
             dropdown.classList.remove("show");
@@ -324,12 +490,11 @@ document.querySelector(".dropdown").addEventListener("keydown", function (event)
 updateSelection();
 
 // Event listener for search engine radio buttons
-searchEngineRadio.forEach((radio) => {
-    radio.addEventListener("change", () => {
-        const selectedOption = document.querySelector('input[name="search-engine"]:checked');
-        localStorage.setItem(`selectedSearchEngine-${selectedOption.parentElement.dataset.category}`, selectedOption.value);
-        localStorage.setItem(`activeSearchMode`, selectedOption.parentElement.dataset.category);
-    });
+searchEnginesContainer.addEventListener("change", (event) => {
+    if (event.target.name !== "search-engine") return;
+    const selectedOption = document.querySelector('input[name="search-engine"]:checked');
+    localStorage.setItem(`selectedSearchEngine-${selectedOption.parentElement.dataset.category}`, selectedOption.value);
+    localStorage.setItem(`activeSearchMode`, selectedOption.parentElement.dataset.category);
 });
 
 /* ------ Event Listeners for Searchbar dropdown ------ */
@@ -362,23 +527,8 @@ const hideSearchWith = document.getElementById("shortcut_switchcheckbox");
 hideSearchWith.addEventListener("change", (e) => {
     initShortCutSwitch(e.target);
 
-    // Fetch active search mode from storage
-    let activeSearchMode = localStorage.getItem("activeSearchMode") || "search-with";
-    toggleSearchEngines(activeSearchMode);
-
-    // Get the selected search engine from localStorage
-    const storedSearchEngine = localStorage.getItem(`selectedSearchEngine-${activeSearchMode}`);
-
-    // Find the corresponding radio button
-    const selectedRadioButton = document.querySelector(`input[name="search-engine"][value="${storedSearchEngine}"]`);
-    selectedRadioButton.checked = true;
-
     // Ensure UI is updated properly
-    const storedSearchEngineSN = storedSearchEngine.charAt(storedSearchEngine.length - 1);
-    const selector = `*[data-engine="${storedSearchEngineSN}"]`;
-
-    swapDropdown(selector);
-    sortDropdown();
+    applyStoredSearchEngine();
 });
 
 // Intialize shortcut switch
@@ -397,18 +547,22 @@ if (localStorage.getItem("showShortcutSwitch")) {
 
 initShortCutSwitch(hideSearchWith);
 
-document.addEventListener("keydown", function (event) {
-    // Prevent shortcut if modal, menu, or bookmarks sidebar is open
+// Page-wide hotkeys are off while a modal, the menu or the bookmarks sidebar is open, and while typing
+function canUsePageHotkey(event) {
     const modalContainer = document.getElementById("prompt-modal-container");
     if (
         modalContainer?.style.display === "flex" ||
         menuBar.style.display !== "none" ||
         bookmarkSidebar.classList.contains("open")
     ) {
-        return;
+        return false;
     }
 
-    if (event.key === "/" && event.target.tagName !== "INPUT" && event.target.tagName !== "TEXTAREA" && event.target.isContentEditable !== true) {
+    return event.target.tagName !== "INPUT" && event.target.tagName !== "TEXTAREA" && event.target.isContentEditable !== true;
+}
+
+document.addEventListener("keydown", function (event) {
+    if (event.key === "/" && canUsePageHotkey(event)) {
         event.preventDefault();
         searchInput.focus();
         searchbar.classList.add("active");
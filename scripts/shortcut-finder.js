@@ -0,0 +1,275 @@
+/*
+ * Material You NewTab
+ * Copyright (c) 2023-2025 XengShi
+ * Licensed under the GNU General Public License v3.0 (GPL-3.0)
+ * You should have received a copy of the GNU General Public License along with this program.
+ * If not, see <https://www.gnu.org/licenses/>.
+ */
+
+// ------------------------ Shortcut Hotkeys and Finder ------------------------
+const maxFinderResults = 8;
+
+// Scores how well the letters of a query appear in order in a text, or returns null when they don't.
+// Runs of letters, word starts and a match at the very beginning count more, so "gm" ranks "Gmail" above "Google Maps".
+function fuzzyMatch(query, text) {
+    const needle = query.trim().toLowerCase();
+    const haystack = (text || "").toLowerCase();
+    if (!needle) return { score: 0, indices: [] };
+
+    // The query typed as is wins over scattered letters
+    const start = haystack.indexOf(needle);
+    if (start !== -1) {
+        const isWordStart = start === 0 || !/[a-z0-9]/i.test(haystack[start - 1]);
+        return {
+            score: 100 + needle.length * 10 + (start === 0 ? 30 : isWordStart ? 15 : 0) - haystack.length * 0.1,
+            indices: Array.from(needle, (_, i) => start + i)
+        };
+    }
+
+    const indices = [];
+    let score = 0;
+    let position = 0;
+
+    for (const char of needle) {
+        if (char === " ") continue;
+        const index = haystack.indexOf(char, position);
+        if (index === -1) return null;
+
+        const previous = indices[indices.length - 1];
+        if (previous !== undefined && index === previous + 1) {
+            score += 8;
+        } else if (index === 0 || !/[a-z0-9]/i.test(haystack[index - 1])) {
+            score += 6;
+        } else {
+            score += 1 - Math.min(index - position, 10) * 0.2;
+        }
+
+        indices.push(index);
+        position = index + 1;
+    }
+
+    return { score: score - haystack.length * 0.1, indices };
+}
+
+// Text with the matched letters wrapped in <mark>, built from nodes so names can't inject markup
+function highlightFuzzyMatch(text, indices = []) {
+    const fragment = document.createDocumentFragment();
+    const matched = new Set(indices);
+    let run = "";
+    let runMatched = false;
+
+    const flush = () => {
+        if (!run) return;
+        if (runMatched) {
+            const mark = document.createElement("mark");
+            mark.textContent = run;
+            fragment.appendChild(mark);
+        } else {
+            fragment.appendChild(document.createTextNode(run));
+        }
+        run = "";
+    };
+
+    for (let index = 0; index < text.length; index++) {
+        if (matched.has(index) !== runMatched) {
+            flush();
+            runMatched = matched.has(index);
+        }
+        run += text[index];
+    }
+    flush();
+
+    return fragment;
+}
+
+document.addEventListener("DOMContentLoaded", function () {
+    const finder = document.getElementById("shortcutFinder");
+    const finderOverlay = document.getElementById("shortcutFinderOverlay");
+    const finderInput = document.getElementById("shortcutFinderInput");
+    const finderResults = document.getElementById("shortcutFinderResults");
+
+    let finderRows = [];
+    let activeRow = 0;
+
+    // Everything the finder can open, from the features that are turned on
+    function getFinderItems() {
+        const items = [];
+        const kindName = (key) => translations[currentLanguage]?.[key] || translations["en"][key];
+
+        if (document.getElementById("shortcutsCheckbox").checked) {
+            shortcutsCache.forEach(shortcut => {
+                if (!shortcut) return;
+                items.push({ kind: kindName("finderShortcut"), name: shortcut.name, url: normalizeUrl(shortcut.url), shortcut });
+            });
+        }
+
+        if (document.getElementById("aiToolsCheckbox").checked) {
+            document.querySelectorAll("#toolsCont a[href]").forEach(link => {
+                const name = link.querySelector(".tLabel")?.textContent.trim();
+                if (name) items.push({ kind: kindName("finderAITool"), name, url: link.href });
+            });
+        }
+
+        if (document.getElementById("googleAppsCheckbox").checked) {
+            document.querySelectorAll("#iconContainer a.icon-item[href]").forEach(link => {
+                // Long names are cut short on the tile, the full one is split over two lines
+                const label = link.querySelector(".label.full") || link.querySelector(".label");
+                const name = label && Array.from(label.childNodes, node => node.textContent).join(" ").replace(/\s+/g, " ").trim();
+                if (name) items.push({ kind: kindName("finderGoogleApp"), name, url: link.href });
+            });
+        }
+
+        return items;
+    }
+
+    // Items ranked by the better of their name and address, names counting a little more
+    function getFinderMatches(query) {
+        const items = getFinderItems();
+        if (!query.trim()) return items.slice(0, maxFinderResults).map(item => ({ ...item, nameIndices: [] }));
+
+        return items
+            .map(item => {
+                const nameMatch = fuzzyMatch(query, item.name);
+                const urlMatch = fuzzyMatch(query, getDisplayUrl(item.url));
+                const nameScore = nameMatch ? nameMatch.score + 20 : -Infinity;
+                const urlScore = urlMatch ? urlMatch.score : -Infinity;
+                if (!nameMatch && !urlMatch) return null;
+
+                return {
+                    ...item,
+                    score: Math.max(nameScore, urlScore),
+                    nameIndices: nameScore >= urlScore ? nameMatch.indices : [],
+                    urlIndices: urlScore > nameScore ? urlMatch.indices : []
+                };
+            })
+            .filter(Boolean)
+            .sort((a, b) => b.score - a.score)
+            .slice(0, maxFinderResults);
+    }
+
+    function renderFinderResults() {
+        finderRows = getFinderMatches(finderInput.value);
+        activeRow = 0;
+        finderResults.innerHTML = "";
+
+        if (!finderRows.length) {
+            const empty = document.createElement("div");
+            empty.className = "shortcut-finder-empty";
+            empty.textContent = translations[currentLanguage]?.finderNoResults || translations["en"].finderNoResults;
+            finderResults.appendChild(empty);
+            return;
+        }
+
+        finderRows.forEach((row, index) => {
+            const resultItem = document.createElement("div");
+            resultItem.className = "resultItem";
+            resultItem.setAttribute("role", "option");
+
+            const favicon = document.createElement("img");
+            favicon.className = "resultIcon";
+            favicon.alt = "";
+            setBookmarkFavicon(favicon, row.url);
+
+            const texts = document.createElement("div");
+            texts.className = "resultText";
+
+            const title = document.createElement("span");
+            title.appendChild(highlightFuzzyMatch(row.name, row.nameIndices));
+
+            const description = document.createElement("span");
+            description.className = "resultDescription";
+            description.appendChild(highlightFuzzyMatch(getDisplayUrl(row.url), row.urlIndices));
+
+            texts.append(title, description);
+
+            const kind = document.createElement("span");
+            kind.className = "shortcut-finder-kind";
+            kind.textContent = row.kind;
+
+            resultItem.append(favicon, texts, kind);
+            resultItem.addEventListener("mouseenter", () => setActiveFinderRow(index));
+            resultItem.addEventListener("click", (e) => openFinderRow(row, e));
+            finderResults.appendChild(resultItem);
+        });
+
+        setActiveFinderRow(0);
+    }
+
+    function setActiveFinderRow(index) {
+        const items = finderResults.querySelectorAll(".resultItem");
+        if (!items.length) return;
+
+        activeRow = (index + items.length) % items.length;
+        items.forEach((item, i) => item.classList.toggle("active", i === activeRow));
+        items[activeRow].scrollIntoView?.({ block: "nearest" });
+    }
+
+    // Shortcuts keep their own way of opening, the rest follow the keys held like a link would
+    function openFinderRow(row, event) {
+        const item = row.shortcut || { name: row.name, url: row.url, meta: {} };
+        const mode = getShortcutOpenMode(item, event);
+
+        if (row.shortcut) recordShortcutUse(row.shortcut);
+        closeShortcutFinder();
+        openShortcutUrls(getShortcutUrls(item), mode);
+    }
+
+    function openShortcutFinder() {
+        finderInput.value = "";
+        finder.style.display = "block";
+        finderOverlay.style.display = "block";
+        renderFinderResults();
+        finderInput.focus();
+    }
+
+    function closeShortcutFinder() {
+        finder.style.display = "none";
+        finderOverlay.style.display = "none";
+        finderInput.blur();
+    }
+
+    // Opens the shortcut in the given place on the home screen, folders included
+    function openShortcutByPosition(position) {
+        if (!document.getElementById("shortcutsCheckbox").checked) return false;
+
+        const tile = document.querySelectorAll("#shortcutsContainer > .shortcuts")[position - 1];
+        const link = tile?.querySelector("a");
+        if (!link) return false;
+
+        link.click();
+        return true;
+    }
+
+    finderInput.addEventListener("input", renderFinderResults);
+
+    finderInput.addEventListener("keydown", (e) => {
+        if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+            e.preventDefault();
+            setActiveFinderRow(activeRow + (e.key === "ArrowDown" ? 1 : -1));
+        } else if (e.key === "Enter") {
+            e.preventDefault();
+            if (finderRows[activeRow]) openFinderRow(finderRows[activeRow], e);
+        } else if (e.key === "Escape") {
+            e.preventDefault();
+            closeShortcutFinder();
+        }
+    });
+
+    finderOverlay.addEventListener("click", closeShortcutFinder);
+
+    document.addEventListener("keydown", (e) => {
+        if (finder.style.display !== "none" || !canUsePageHotkey(e)) return;
+
+        // Alt+1 to Alt+9, read from the key position so other layouts work too
+        const digit = /^Digit([1-9])$/.exec(e.code);
+        if (digit && e.altKey && !e.ctrlKey && !e.metaKey && !e.shiftKey) {
+            if (openShortcutByPosition(Number(digit[1]))) e.preventDefault();
+            return;
+        }
+
+        if (e.key.toLowerCase() === "k" && (e.ctrlKey || e.metaKey) && !e.altKey && !e.shiftKey) {
+            e.preventDefault();
+            openShortcutFinder();
+        }
+    });
+});
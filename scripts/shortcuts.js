@@ -4,9 +4,80 @@
  * Licensed under the GNU General Public License v3.0 (GPL-3.0)
  */
 
+// Cache for shortcuts data, also read by the search suggestions
+let shortcutsCache = [];
+
+// Normalizes URLs to ensure they're valid
+function normalizeUrl(url) {
+    url = url.trim();
+    return encodeURI(
+        url.startsWith("https://") || url.startsWith("http://") ? url : `https://${url}`
+    );
+}
+
+// All the URLs a shortcut opens, more than one for a launch set
+function getShortcutUrls(item) {
+    return [item.url, ...(item.meta?.urls || [])].map(normalizeUrl);
+}
+
+// How a click opens a shortcut: middle-click and Ctrl/Cmd-click open it in the
+// background, or in the foreground with Shift, but private shortcuts stay private
+function getShortcutOpenMode(item, event = {}) {
+    const mode = item.meta?.open || "current";
+    const isModified = event.button === 1 || event.ctrlKey || event.metaKey;
+    if (mode === "private" || !isModified) return mode;
+    return event.shiftKey ? "tab" : "background";
+}
+
+// Count a visit of a shortcut in the "clicks" and "used" fields of its meta, which the sort modes read
+function recordShortcutUse(item) {
+    const index = shortcutsCache.indexOf(item);
+    if (index === -1) return;
+
+    item.meta.clicks = (item.meta.clicks || 0) + 1;
+    item.meta.used = Date.now();
+    localStorage.setItem(`shortcutMeta${index}`, JSON.stringify(item.meta));
+}
+
+// Open URLs in this tab, in new tabs or in a private window, keeping their order
+async function openShortcutUrls(urls, mode) {
+    const [firstURL, ...otherURLs] = urls;
+    try {
+        if (mode === "private") {
+            await (isFirefox ? browser.windows : chrome.windows).create({ url: urls, incognito: true });
+            return;
+        }
+
+        const tabsAPI = isFirefox ? browser.tabs : chrome.tabs;
+        if (mode !== "current") {
+            await tabsAPI.create({ url: firstURL, active: mode === "tab" });
+        }
+        for (const url of otherURLs) {
+            await tabsAPI.create({ url, active: false });
+        }
+    } catch (error) {
+        if (mode === "private") {
+            await alertPrompt(translations[currentLanguage]?.privateWindowFailed || translations["en"].privateWindowFailed);
+            return;
+        }
+
+        // Outside of the extension pages, popups are the only way to open tabs
+        (mode === "current" ? otherURLs : urls).forEach(url => window.open(url, "_blank"));
+    }
+
+    if (mode === "current") {
+        window.location.href = firstURL;
+    }
+}
+
 document.addEventListener("DOMContentLoaded", function () {
     // Constants
     const MAX_SHORTCUTS = 50;
+    const MAX_PAGES = 10;
+    const MAIN_PAGE = "main";
+    const MAX_ICON_SIZE = 1024 * 1024;
+    const MAX_ICON_PACK_SIZE = 1024 * 1024;
+    const MAX_LAUNCH_URLS = 10;
     const PLACEHOLDER = {
         name: "New shortcut",
         url: "https://github.com/prem-k-r/MaterialYouNewTab",
@@ -25,61 +96,96 @@ document.addEventListener("DOMContentLoaded", function () {
         shortcutsContainer: document.getElementById("shortcutsContainer"),
         newShortcutButton: document.getElementById("newShortcutButton"),
         resetShortcutsButton: document.getElementById("resetButton"),
+        folderPopover: document.getElementById("shortcutFolderPopover"),
+        folderName: document.getElementById("shortcutFolderName"),
+        folderGrid: document.getElementById("shortcutFolderGrid"),
+        deleteFolderButton: document.getElementById("deleteShortcutFolder"),
+        pageDots: document.getElementById("shortcutPageDots"),
+        pageTabs: document.getElementById("shortcutPageTabs"),
+        pageName: document.getElementById("shortcutPageName"),
+        defaultPageButton: document.getElementById("defaultShortcutPageButton"),
+        addPageButton: document.getElementById("addShortcutPageButton"),
+        deletePageButton: document.getElementById("deleteShortcutPageButton"),
+        iconModal: document.getElementById("shortcutIconModal"),
+        iconOverlay: document.getElementById("shortcutIconOverlay"),
+        iconPreview: document.getElementById("shortcutIconPreview"),
+        iconType: document.getElementById("shortcutIconType"),
+        iconFile: document.getElementById("shortcutIconFileInput"),
+        iconURL: document.getElementById("shortcutIconURLInput"),
+        iconEmoji: document.getElementById("shortcutIconEmojiInput"),
+        iconLetters: document.getElementById("shortcutIconLettersInput"),
+        closeIconButton: document.getElementById("closeShortcutIconBtn"),
+        cancelIconButton: document.getElementById("cancelShortcutIconBtn"),
+        saveIconButton: document.getElementById("saveShortcutIconBtn"),
+        importButton: document.getElementById("importShortcutsButton"),
+        importModal: document.getElementById("shortcutImportModal"),
+        importOverlay: document.getElementById("shortcutImportOverlay"),
+        importSource: document.getElementById("shortcutImportSource"),
+        importFolder: document.getElementById("shortcutImportFolder"),
+        importInfo: document.getElementById("shortcutImportInfo"),
+        importList: document.getElementById("shortcutImportList"),
+        closeImportButton: document.getElementById("closeShortcutImportBtn"),
+        cancelImportButton: document.getElementById("cancelShortcutImportBtn"),
+        confirmImportButton: document.getElementById("confirmShortcutImportBtn"),
+        optionsModal: document.getElementById("shortcutOptionsModal"),
+        optionsOverlay: document.getElementById("shortcutOptionsOverlay"),
+        openMode: document.getElementById("shortcutOpenMode"),
+        launchUrls: document.getElementById("shortcutLaunchUrls"),
+        closeOptionsButton: document.getElementById("closeShortcutOptionsBtn"),
+        cancelOptionsButton: document.getElementById("cancelShortcutOptionsBtn"),
+        saveOptionsButton: document.getElementById("saveShortcutOptionsBtn"),
+        bookmarkShortcutButton: document.getElementById("bookmarkShortcutBtn"),
+        sortMode: document.getElementById("shortcutSortMode"),
+        usageInfo: document.getElementById("shortcutUsageInfo"),
+        iconPacksButton: document.getElementById("iconPacksEditButton"),
+        iconPacksModal: document.getElementById("iconPacksModal"),
+        iconPacksOverlay: document.getElementById("iconPacksOverlay"),
+        iconPackList: document.getElementById("iconPackList"),
+        iconPackFile: document.getElementById("iconPackFileInput"),
+        closeIconPacksButton: document.getElementById("closeIconPacksBtn"),
+        cancelIconPacksButton: document.getElementById("cancelIconPacksBtn"),
+        importIconPackButton: document.getElementById("importIconPackBtn"),
     };
 
-    // Preset Data
-    const presets = [
-        {
-            name: "YouTube",
-            url: "youtube.com",
-            domains: ["youtube.com", "m.youtube.com", "youtu.be"],
-            svg: `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24"><circle cx="12" cy="12" r="12" class="accentColor shorcutDarkColor"/><g style="transform: scale(0.6); transform-origin: center;"><path class="bgLightTint" id="darkLightTint" fill-rule="evenodd"
-                    d="M23.498 6.186a3.02 3.02 0 0 0-2.122-2.136C19.505 3.545 12 3.545 12 3.545s-7.505 0-9.377.505A3.02 3.02 0 0 0 .502 6.186C0 8.07 0 12 0 12s0 3.93.502 5.814a3.02 3.02 0 0 0 2.122 2.136c1.871.505 9.376.505 9.376.505s7.505 0 9.377-.505a3.02 3.02 0 0 0 2.122-2.136C24 15.93 24 12 24 12s0-3.93-.502-5.814M9.545 15.568V8.432L15.818 12z"/></g></svg>`
-        },
-        {
-            name: "Gmail",
-            url: "mail.google.com",
-            domains: ["gmail.com", "mail.google.com"],
-            svg: `<svg viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg"><circle cx="12" cy="12" r="12" class="accentColor shorcutDarkColor"/><g style="transform: scale(0.58); transform-origin: center;"><path class="bgLightTint" id="darkLightTint" 
-                    d="m8.606 13.6 3.396 2.323 3.274-2.259 7.338 7.24q-.29.095-.614.096H2c-.264 0-.516-.052-.747-.144zM24 7.652V19a2 2 0 0 1-.18.83l-7.193-7.097zM0 7.715l7.25 4.958-7.123 7.03A2.04 2.04 0 0 1 0 19ZM22 3a2 2 0 0 1 2 2v.704l-12.002 8.274L0 5.772V5a2 2 0 0 1 2-2Z"/></g></svg>`
-        },
-        {
-            name: "Telegram",
-            url: "web.telegram.org",
-            domains: ["telegram.org", "t.me", "web.telegram.org"],
-            svg: `<svg viewBox="0 0 20 20" xmlns="http://www.w3.org/2000/svg"><path class="accentColor shorcutDarkColor"
-                    d="M10 0C4.48 0 0 4.48 0 10s4.48 10 10 10 10-4.48 10-10S15.52 0 10 0Zm4.64 6.8c-.15 1.58-.8 5.42-1.13 7.19-.14.75-.42 1-.68 1.03-.58.05-1.02-.38-1.58-.75-.88-.58-1.38-.94-2.23-1.5-.99-.65-.35-1.01.22-1.59.15-.15 2.71-2.48 2.76-2.69a.2.2 0 0 0-.05-.18c-.06-.05-.14-.03-.21-.02-.09.02-1.49.95-4.22 2.79-.4.27-.76.41-1.08.4-.36-.01-1.04-.2-1.55-.37-.63-.2-1.12-.31-1.08-.66.02-.18.27-.36.74-.55 2.92-1.27 4.86-2.11 5.83-2.51 2.78-1.16 3.35-1.36 3.73-1.36.08 0 .27.02.39.12.1.08.13.19.14.27-.01.06.01.24 0 .38Z"/></svg>`
-        },
-        {
-            name: "WhatsApp",
-            url: "web.whatsapp.com",
-            domains: ["whatsapp.com", "web.whatsapp.com", "api.whatsapp.com"],
-            svg: `<svg viewBox="0 0 20 20" xmlns="http://www.w3.org/2000/svg"><path class="accentColor shorcutDarkColor"
-                    d="M10 0c5.523 0 10 4.477 10 10s-4.477 10-10 10a9.953 9.953 0 0 1-5.03-1.355L.004 20l1.352-4.968A9.953 9.953 0 0 1 0 10C0 4.477 4.477 0 10 0ZM6.592 5.3l-.2.008a.961.961 0 0 0-.372.1 1.293 1.293 0 0 0-.294.228c-.12.113-.188.211-.261.306a2.73 2.73 0 0 0-.566 1.678c.002.49.13.967.33 1.413.409.902 1.082 1.857 1.97 2.742.214.213.424.427.65.626a9.448 9.448 0 0 0 3.84 2.046l.568.087c.185.01.37-.004.556-.013a1.99 1.99 0 0 0 .833-.231c.131-.067.259-.14.383-.22 0 0 .043-.028.125-.09.135-.1.218-.171.33-.288.083-.086.155-.187.21-.302.078-.163.156-.474.188-.733.024-.198.017-.306.014-.373-.004-.107-.093-.218-.19-.265l-.582-.261s-.87-.379-1.402-.621a.497.497 0 0 0-.176-.041.482.482 0 0 0-.378.127c-.005-.002-.072.055-.795.931a.35.35 0 0 1-.368.13 1.432 1.432 0 0 1-.191-.066c-.124-.052-.167-.072-.252-.108a6.028 6.028 0 0 1-1.575-1.003c-.126-.11-.243-.23-.363-.346a6.298 6.298 0 0 1-1.02-1.268l-.059-.095a.923.923 0 0 1-.102-.205c-.038-.147.061-.265.061-.265s.243-.266.356-.41c.11-.14.203-.276.263-.373.118-.19.155-.385.093-.536-.28-.684-.57-1.365-.868-2.041-.059-.134-.234-.23-.393-.249a4.439 4.439 0 0 0-.162-.016 3.385 3.385 0 0 0-.403.004l.201-.008.001.001Z"/></svg>`
-        },
-        {
-            name: "Twitter",
-            url: "x.com",
-            domains: ["twitter.com", "x.com"],
-            svg: `<svg viewBox="0 0 20 20" xmlns="http://www.w3.org/2000/svg"><path class="accentColor shorcutDarkColor"
-                    d="M10 0c5.529 0 10 4.471 10 10s-4.471 10-10 10S0 15.529 0 10 4.471 0 10 0ZM8.171 15.271c4.429 0 6.858-3.671 6.858-6.857V8.1a4.783 4.783 0 0 0 1.2-1.257c-.429.186-.9.314-1.386.386.5-.3.886-.772 1.057-1.329a5.215 5.215 0 0 1-1.529.586 2.405 2.405 0 0 0-1.757-.757A2.42 2.42 0 0 0 10.2 8.143c0 .186.014.371.071.543-2-.1-3.785-1.057-4.971-2.515-.2.358-.329.772-.329 1.215 0 .828.429 1.571 1.072 2-.4 0-.772-.115-1.086-.3v.028c0 1.172.829 2.143 1.929 2.372a2.3 2.3 0 0 1-.629.085c-.157 0-.3-.014-.457-.042.3.957 1.2 1.657 2.243 1.671a4.883 4.883 0 0 1-3 1.029c-.2 0-.386 0-.572-.029a6.765 6.765 0 0 0 3.686 1.086"/></svg>`
-        },
-        {
-            name: "Discord",
-            url: "discord.com/app",
-            domains: ["discord.com", "discord.gg", "discordapp.com"],
-            svg: `<svg viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg"><circle cx="12" cy="12" r="12" class="accentColor shorcutDarkColor"/><g style="transform: scale(0.75); transform-origin: center;"><path class="bgLightTint" id="darkLightTint"
-                    d="M19.303 5.337A17.3 17.3 0 0 0 14.963 4c-.191.329-.403.775-.552 1.125a16.6 16.6 0 0 0-4.808 0C9.454 4.775 9.23 4.329 9.05 4a17 17 0 0 0-4.342 1.337C1.961 9.391 1.218 13.35 1.59 17.255a17.7 17.7 0 0 0 5.318 2.664 13 13 0 0 0 1.136-1.836c-.627-.234-1.22-.52-1.794-.86.149-.106.297-.223.435-.34 3.46 1.582 7.207 1.582 10.624 0 .149.117.287.234.435.34-.573.34-1.167.626-1.793.86a13 13 0 0 0 1.135 1.836 17.6 17.6 0 0 0 5.318-2.664c.457-4.52-.722-8.448-3.1-11.918M8.52 14.846c-1.04 0-1.889-.945-1.889-2.101s.828-2.102 1.89-2.102c1.05 0 1.91.945 1.888 2.102 0 1.156-.838 2.1-1.889 2.1m6.974 0c-1.04 0-1.89-.945-1.89-2.101s.828-2.102 1.89-2.102c1.05 0 1.91.945 1.889 2.102 0 1.156-.828 2.1-1.89 2.1"/></g></svg>`
-        }
+    // Shortcuts of a fresh install, their icons come from the built-in icon pack
+    const defaultShortcuts = [
+        { name: "YouTube", url: "youtube.com" },
+        { name: "Gmail", url: "mail.google.com" },
+        { name: "Telegram", url: "web.telegram.org" },
+        { name: "WhatsApp", url: "web.whatsapp.com" },
+        { name: "Twitter", url: "x.com" },
+        { name: "Discord", url: "discord.com/app" }
     ];
 
-    // Cache for shortcuts data
-    let shortcutsCache = [];
+    // Folder shown in the popover and shortcut dragged on the home screen
+    let openFolderId = null;
+    let draggedTileIndex = null;
+
+    // Page shown on the home screen and edited in the settings, new tabs start on the default one
+    let currentPageId = getDefaultShortcutPage();
+
+    // Object URLs of the uploaded icons read from IndexedDB, by icon id
+    const uploadedIconUrls = new Map();
+
+    // Shortcut whose icon is being chosen and the image picked for it, not saved yet
+    let iconEntry = null;
+    let pickedIconFile = null;
+    let pickedIconUrl = null;
+
+    // Shortcut whose options are being edited
+    let optionsEntry = null;
 
     // Initialization
     loadSettings();
     setupEventListeners();
     loadShortcuts();
+    setupDragAndDrop();
+    setupFolders();
+    setupPages();
+    setupIconPicker();
+    setupImporter();
+    setupOpenBehaviour();
+    setupIconPacks();
 
     // Loads all settings from localStorage and applies them
     function loadSettings() {
@@ -88,12 +194,15 @@ document.addEventListener("DOMContentLoaded", function () {
         loadActiveStatus("shortcutEditField", dom.shortcutEditField);
         loadActiveStatus("adaptiveIconField", dom.adaptiveIconField);
         loadDisplayStatus("shortcutsDisplayStatus", dom.shortcuts);
+        dom.sortMode.value = getShortcutSortMode();
 
         // Apply adaptive icon style if enabled
         if (dom.adaptiveIconToggle.checked) {
             dom.shortcutsContainer.classList.add("adaptive-icons");
+            dom.folderGrid.classList.add("adaptive-icons");
         } else {
             dom.shortcutsContainer.classList.remove("adaptive-icons");
+            dom.folderGrid.classList.remove("adaptive-icons");
         }
     }
 
@@ -102,6 +211,7 @@ document.addEventListener("DOMContentLoaded", function () {
         // Checkbox events
         dom.shortcutsCheckbox.addEventListener("change", handleShortcutsToggle);
         dom.adaptiveIconToggle.addEventListener("change", handleAdaptiveIconToggle);
+        dom.sortMode.addEventListener("change", handleSortModeChange);
 
         // Button events
         dom.newShortcutButton.addEventListener("click", handleNewShortcutClick);
@@ -133,38 +243,60 @@ document.addEventListener("DOMContentLoaded", function () {
         }, 800);
     }
 
-    // Loads shortcuts from localStorage or uses presets if none exist
+    // Loads shortcuts from localStorage or uses the default ones if none exist
     function loadShortcuts() {
-        const amount = localStorage.getItem("shortcutAmount") || presets.length;
+        const amount = localStorage.getItem("shortcutAmount") || defaultShortcuts.length;
         const deleteInactive = amount <= 1;
 
         shortcutsCache = [];
 
         for (let i = 0; i < amount; i++) {
-            const name = localStorage.getItem(`shortcutName${i}`) || (presets[i] ? presets[i].name : PLACEHOLDER.name);
-            const url = localStorage.getItem(`shortcutURL${i}`) || (presets[i] ? presets[i].url : PLACEHOLDER.url);
+            const name = localStorage.getItem(`shortcutName${i}`) || (defaultShortcuts[i] ? defaultShortcuts[i].name : PLACEHOLDER.name);
+            const url = localStorage.getItem(`shortcutURL${i}`) || (defaultShortcuts[i] ? defaultShortcuts[i].url : PLACEHOLDER.url);
+            const meta = getShortcutMeta(i);
 
-            shortcutsCache.push({ name, url });
+            shortcutsCache.push({ name, url, meta });
 
-            const entry = createShortcutEntry(name, url, deleteInactive, i);
+            const entry = createShortcutEntry(name, url, deleteInactive, i, meta);
             dom.shortcutSettingsContainer.appendChild(entry);
-            renderShortcut(name, url, i);
         }
 
+        pruneShortcutFolders();
+        renderAllShortcuts(shortcutsCache);
+        loadUploadedIcons();
+
         // Disable new shortcut button if max reached
         if (amount >= MAX_SHORTCUTS) {
             dom.newShortcutButton.classList.add("inactive");
         }
+    }
 
-        setupDragAndDrop();
+    // Extra data of a shortcut, like its folder, kept next to its name and URL
+    function getShortcutMeta(index) {
+        try {
+            const meta = JSON.parse(localStorage.getItem(`shortcutMeta${index}`));
+            return meta && typeof meta === "object" ? meta : {};
+        } catch (error) {
+            return {};
+        }
+    }
+
+    function saveShortcutMeta(index, meta) {
+        if (meta && Object.keys(meta).length > 0) {
+            localStorage.setItem(`shortcutMeta${index}`, JSON.stringify(meta));
+        } else {
+            localStorage.removeItem(`shortcutMeta${index}`);
+        }
     }
 
     // Creates a shortcut entry element for the settings panel
-    function createShortcutEntry(name, url, deleteInactive, index) {
+    function createShortcutEntry(name, url, deleteInactive, index, meta = {}) {
         const entry = document.createElement("div");
         entry.className = "shortcutSettingsEntry";
         entry.draggable = true;
         entry._index = index;
+        // Shared with the cache, so changes to the folder of a shortcut reach both
+        entry._meta = meta;
 
         entry.innerHTML = `
             <div class="grip-container" draggable="true">
@@ -177,10 +309,18 @@ document.addEventListener("DOMContentLoaded", function () {
                     <circle cy="13.5" cx="10.5" r=".75"/>
                 </svg>
             </div>
+            <button class="shortcutIconButton"></button>
             <div>
                 <input class="shortcutName" placeholder="${PLACEHOLDER.inputName}" value="${escapeHtml(name)}">
                 <input class="URL" placeholder="${PLACEHOLDER.inputUrl}" value="${escapeHtml(url)}">
             </div>
+            <div class="options">
+                <button class="shortcutOptionsButton">
+                    <svg xmlns="http://www.w3.org/2000/svg" height="24" viewBox="0 0 24 24" width="24">
+                        <path d="M11 21v-6h2v2h8v2h-8v2zm-8-2v-2h6v2zm4-4v-2H3v-2h4V9h2v6zm4-2v-2h10v2zm4-4V3h2v2h4v2h-4v2zM3 7V5h10v2z"/>
+                    </svg>
+                </button>
+            </div>
             <div class="delete">
                 <button class="${deleteInactive ? 'inactive' : ''}">
                     <svg xmlns="http://www.w3.org/2000/svg" height="24" viewBox="0 0 24 24" width="24">
@@ -196,30 +336,35 @@ document.addEventListener("DOMContentLoaded", function () {
         const deleteBtn = entry.querySelector(".delete button");
         deleteBtn.addEventListener("click", () => deleteShortcut(entry));
 
+        const iconButton = entry.querySelector(".shortcutIconButton");
+        iconButton.title = translations[currentLanguage]?.changeShortcutIcon || translations["en"].changeShortcutIcon;
+        iconButton.addEventListener("click", () => openShortcutIconPicker(entry));
+        updateEntryIcon(entry);
+
+        const optionsButton = entry.querySelector(".shortcutOptionsButton");
+        optionsButton.title = translations[currentLanguage]?.shortcutOptionsText || translations["en"].shortcutOptionsText;
+        optionsButton.addEventListener("click", () => openShortcutOptions(entry));
+
         return entry;
     }
 
-    // Renders a shortcut in the main view
-    function renderShortcut(name, url, index) {
-        const normalizedUrl = normalizeUrl(url);
+    // Creates the element of a shortcut in the main view
+    function createShortcutTile(item, index) {
         const shortcut = document.createElement("div");
         shortcut.className = "shortcuts";
         shortcut._index = index;
 
         shortcut.innerHTML = `
-            <a href="${normalizedUrl}">
+            <a href="${normalizeUrl(item.url)}">
                 <div class="shortcutLogoContainer">
-                    ${getLogoHtml(normalizedUrl)}
+                    ${getShortcutIconHtml(item)}
                 </div>
-                <span class="shortcut-name">${escapeHtml(name)}</span>
+                <span class="shortcut-name">${escapeHtml(item.name)}</span>
             </a>
+            ${item.meta?.urls?.length ? `<span class="shortcutLaunchBadge">${item.meta.urls.length + 1}</span>` : ""}
         `;
 
-        if (index < dom.shortcutsContainer.children.length) {
-            dom.shortcutsContainer.replaceChild(shortcut, dom.shortcutsContainer.children[index]);
-        } else {
-            dom.shortcutsContainer.appendChild(shortcut);
-        }
+        return shortcut;
     }
 
     // Escapes HTML to prevent XSS
@@ -233,26 +378,15 @@ document.addEventListener("DOMContentLoaded", function () {
         }[match]));
     }
 
-    // Normalizes URLs to ensure they're valid
-    function normalizeUrl(url) {
-        url = url.trim();
-        return encodeURI(
-            url.startsWith("https://") || url.startsWith("http://") ? url : `https://${url}`
-        );
-    }
-
     // Gets the appropriate logo HTML for a given URL
     function getLogoHtml(url) {
-        const hostname = new URL(normalizeUrl(url)).hostname.replace("www.", "");
-
-        if (hostname === "github.com") {
-            return `<img src="./svgs/github-shortcut.svg" alt="">`;
-        }
+        const normalizedUrl = normalizeUrl(url);
+        const hostname = new URL(normalizedUrl).hostname.replace("www.", "");
 
-        // Check presets for matching domain
-        const preset = presets.find(p => p.domains.includes(hostname));
-        if (preset) {
-            return preset.svg;
+        // Check the icon packs for a matching domain
+        const packIcon = findShortcutPackIcon(normalizedUrl);
+        if (packIcon) {
+            return getPackIconHtml(packIcon);
         }
 
         // Fetch favicon from Google 
@@ -260,16 +394,58 @@ document.addEventListener("DOMContentLoaded", function () {
                 onerror="this.src='./svgs/offline.svg'" alt="">`;
     }
 
+    // Gets the icon chosen for a shortcut in the icon picker, or the one of its website
+    function getShortcutIconHtml(item) {
+        const icon = item.meta?.icon;
+
+        switch (icon?.type) {
+            case "upload":
+                // Shown as letters until the image is read from the database
+                return uploadedIconUrls.has(icon.value)
+                    ? `<img src="${uploadedIconUrls.get(icon.value)}" alt="">`
+                    : getMonogramHtml(getMonogramLetters(item.name));
+            case "url":
+                return `<img src="${escapeHtml(icon.value)}" onerror="this.src='./svgs/offline.svg'" alt="">`;
+            case "emoji":
+                return `<span class="shortcutEmoji">${escapeHtml(icon.value)}</span>`;
+            case "monogram":
+                return getMonogramHtml(icon.value || getMonogramLetters(item.name));
+            default:
+                return getLogoHtml(item.url);
+        }
+    }
+
+    function getMonogramLetters(name) {
+        return ([...name.trim()][0] || "?").toUpperCase();
+    }
+
+    // Letters drawn in the colors of the theme, like the preset icons
+    function getMonogramHtml(letters) {
+        return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24"><circle cx="12" cy="12" r="12" class="accentColor shorcutDarkColor"/><text x="12" y="12" dy=".36em" text-anchor="middle" font-size="${[...letters].length > 1 ? 9 : 11}" class="bgLightTint shortcutMonogram" id="darkLightTint">${escapeHtml(letters)}</text></svg>`;
+    }
+
+    // Show the icon of a shortcut next to its fields, drawing it again only when it changed
+    function updateEntryIcon(entry) {
+        const iconHtml = getShortcutIconHtml({
+            name: entry.querySelector(".shortcutName").value,
+            url: entry.querySelector(".URL").value,
+            meta: entry._meta
+        });
+
+        const iconButton = entry.querySelector(".shortcutIconButton");
+        if (iconButton._iconHtml !== iconHtml) {
+            iconButton._iconHtml = iconHtml;
+            iconButton.innerHTML = iconHtml;
+        }
+    }
+
     // Attaches event listeners to shortcut input fields
     function attachInputListeners(inputs, entry) {
         inputs.forEach(input => {
             input.addEventListener("blur", () => {
                 saveShortcut(entry);
-                renderShortcut(
-                    entry.querySelector(".shortcutName").value,
-                    entry.querySelector(".URL").value,
-                    entry._index
-                );
+                updateEntryIcon(entry);
+                renderAllShortcuts(shortcutsCache);
             });
             input.addEventListener("focus", e => e.target.select());
         });
@@ -376,7 +552,7 @@ document.addEventListener("DOMContentLoaded", function () {
                 return dragElementsCache;
             }
 
-            dragElementsCache = [...dom.shortcutSettingsContainer.querySelectorAll(".shortcutSettingsEntry:not(.dragging)")]
+            dragElementsCache = [...dom.shortcutSettingsContainer.querySelectorAll(".shortcutSettingsEntry:not(.dragging):not([hidden])")]
                 .map(el => ({
                     element: el,
                     rect: el.getBoundingClientRect()
@@ -535,7 +711,8 @@ document.addEventListener("DOMContentLoaded", function () {
         const entries = dom.shortcutSettingsContainer.querySelectorAll(".shortcutSettingsEntry");
         const newOrder = Array.from(entries).map(entry => ({
             name: entry.querySelector(".shortcutName").value,
-            url: entry.querySelector(".URL").value
+            url: entry.querySelector(".URL").value,
+            meta: entry._meta
         }));
 
         // Only save if order has changed
@@ -544,6 +721,7 @@ document.addEventListener("DOMContentLoaded", function () {
             newOrder.forEach((item, index) => {
                 localStorage.setItem(`shortcutName${index}`, item.name);
                 localStorage.setItem(`shortcutURL${index}`, item.url);
+                saveShortcutMeta(index, item.meta);
             });
 
             shortcutsCache = newOrder;
@@ -557,31 +735,67 @@ document.addEventListener("DOMContentLoaded", function () {
 
         return newOrder.some((item, index) => {
             const cached = shortcutsCache[index];
-            return item.name !== cached.name || item.url !== cached.url;
+            return item.name !== cached.name || item.url !== cached.url || item.meta !== cached.meta;
         });
     }
 
-    // Renders all shortcuts in the main view
+    // Renders the shortcuts of the current page in the main view in the chosen sort order,
+    // the shortcuts of a folder as one tile at the place of its first shortcut
     function renderAllShortcuts(order) {
         const fragment = document.createDocumentFragment();
+        const folders = getShortcutFolders();
+        const pages = getShortcutPages();
+        const renderedFolders = new Set();
+
+        getShortcutDisplayOrder(order).forEach(index => {
+            const item = order[index];
+            if (getShortcutPageOf(item.meta, pages) !== currentPageId) return;
+
+            const folderId = item.meta?.folder;
+            if (folderId && folders[folderId]) {
+                if (!renderedFolders.has(folderId)) {
+                    renderedFolders.add(folderId);
+                    fragment.appendChild(createFolderTile(folderId, folders[folderId].name, order));
+                }
+                return;
+            }
 
-        order.forEach((item, index) => {
-            const shortcut = document.createElement("div");
-            shortcut.className = "shortcuts";
-            shortcut._index = index;
-            shortcut.innerHTML = `
-            <a href="${normalizeUrl(item.url)}">
-                <div class="shortcutLogoContainer">
-                    ${getLogoHtml(item.url)}
-                </div>
-                <span class="shortcut-name">${escapeHtml(item.name)}</span>
-            </a>
-        `;
-            fragment.appendChild(shortcut);
+            fragment.appendChild(createShortcutTile(item, index));
         });
 
         dom.shortcutsContainer.innerHTML = "";
         dom.shortcutsContainer.appendChild(fragment);
+
+        // Keep an open folder up to date
+        if (openFolderId) {
+            renderFolderPopover();
+        }
+
+        renderShortcutPages(pages);
+    }
+
+    // The sort mode only changes what the home screen shows, the saved list keeps
+    // the manual order, so switching back to it brings that order back as it was
+    function getShortcutSortMode() {
+        const mode = localStorage.getItem("shortcutSortMode");
+        return ["mostUsed", "recent", "alphabetical"].includes(mode) ? mode : "manual";
+    }
+
+    // Places in the list of the shortcuts, in the order of the home screen. Ties keep the manual order.
+    function getShortcutDisplayOrder(order) {
+        const indices = order.map((item, index) => index);
+        const compare = {
+            mostUsed: (a, b) => (order[b].meta?.clicks || 0) - (order[a].meta?.clicks || 0),
+            recent: (a, b) => (order[b].meta?.used || 0) - (order[a].meta?.used || 0),
+            alphabetical: (a, b) => order[a].name.localeCompare(order[b].name, currentLanguage, { sensitivity: "base" })
+        }[getShortcutSortMode()];
+
+        return compare ? indices.sort(compare) : indices;
+    }
+
+    function handleSortModeChange() {
+        localStorage.setItem("shortcutSortMode", dom.sortMode.value);
+        renderAllShortcuts(shortcutsCache);
     }
 
     // Handles the shortcuts toggle checkbox change
@@ -604,8 +818,10 @@ document.addEventListener("DOMContentLoaded", function () {
         saveCheckboxState("adaptiveIconToggle", this);
         if (this.checked) {
             dom.shortcutsContainer.classList.add("adaptive-icons");
+            dom.folderGrid.classList.add("adaptive-icons");
         } else {
             dom.shortcutsContainer.classList.remove("adaptive-icons");
+            dom.folderGrid.classList.remove("adaptive-icons");
         }
     }
 
@@ -627,11 +843,13 @@ document.addEventListener("DOMContentLoaded", function () {
             dom.newShortcutButton.classList.add("inactive");
         }
 
-        const entry = createShortcutEntry(PLACEHOLDER.name, PLACEHOLDER.url, false, currentAmount);
+        // New shortcuts go to the page being edited
+        const meta = currentPageId === MAIN_PAGE ? {} : { page: currentPageId };
+        const entry = createShortcutEntry(PLACEHOLDER.name, PLACEHOLDER.url, false, currentAmount, meta);
         dom.shortcutSettingsContainer.appendChild(entry);
 
         saveShortcut(entry);
-        renderShortcut(PLACEHOLDER.name, PLACEHOLDER.url, currentAmount);
+        renderAllShortcuts(shortcutsCache);
     }
 
     // Deletes a shortcut
@@ -641,7 +859,8 @@ document.addEventListener("DOMContentLoaded", function () {
 
         const index = entry._index;
         entry.remove();
-        dom.shortcutsContainer.removeChild(dom.shortcutsContainer.children[index]);
+        shortcutsCache.splice(index, 1);
+        deleteUploadedIcon(entry._meta.icon);
 
         // Update localStorage
         localStorage.setItem("shortcutAmount", (currentAmount - 1).toString());
@@ -652,6 +871,7 @@ document.addEventListener("DOMContentLoaded", function () {
         }
         localStorage.removeItem(`shortcutName${currentAmount - 1}`);
         localStorage.removeItem(`shortcutURL${currentAmount - 1}`);
+        localStorage.removeItem(`shortcutMeta${currentAmount - 1}`);
 
         if (currentAmount - 1 === 1) {
             document.querySelectorAll(".delete button").forEach(b => {
@@ -660,6 +880,10 @@ document.addEventListener("DOMContentLoaded", function () {
         }
 
         dom.newShortcutButton.classList.remove("inactive");
+
+        // A folder left with a single shortcut goes away
+        pruneShortcutFolders();
+        renderAllShortcuts(shortcutsCache);
     }
 
     // Resets all shortcuts to default
@@ -676,11 +900,18 @@ document.addEventListener("DOMContentLoaded", function () {
         svg.classList.add("rotate-animation");
 
         // Clear storage
+        shortcutsCache.forEach(item => deleteUploadedIcon(item.meta.icon));
         for (let i = 0; i < (localStorage.getItem("shortcutAmount") || 0); i++) {
             localStorage.removeItem(`shortcutName${i}`);
             localStorage.removeItem(`shortcutURL${i}`);
+            localStorage.removeItem(`shortcutMeta${i}`);
         }
         localStorage.removeItem("shortcutAmount");
+        localStorage.removeItem("shortcutFolders");
+        localStorage.removeItem("shortcutPages");
+        localStorage.removeItem("defaultShortcutPage");
+        currentPageId = MAIN_PAGE;
+        closeShortcutFolder();
 
         // Wait for animations of shortcut elements to complete
         await new Promise(resolve => setTimeout(resolve, 300));
@@ -697,7 +928,1194 @@ document.addEventListener("DOMContentLoaded", function () {
 
     // Saves a single shortcut to localStorage
     function saveShortcut(entry) {
-        localStorage.setItem(`shortcutName${entry._index}`, entry.querySelector(".shortcutName").value);
-        localStorage.setItem(`shortcutURL${entry._index}`, entry.querySelector(".URL").value);
+        const name = entry.querySelector(".shortcutName").value;
+        const url = entry.querySelector(".URL").value;
+        const meta = entry._meta || {};
+        localStorage.setItem(`shortcutName${entry._index}`, name);
+        localStorage.setItem(`shortcutURL${entry._index}`, url);
+        saveShortcutMeta(entry._index, meta);
+        shortcutsCache[entry._index] = { name, url, meta };
+    }
+
+    // Saves a rearranged list of the same shortcuts and shows it everywhere
+    function replaceShortcuts(list) {
+        list.forEach((item, index) => {
+            localStorage.setItem(`shortcutName${index}`, item.name);
+            localStorage.setItem(`shortcutURL${index}`, item.url);
+            saveShortcutMeta(index, item.meta);
+        });
+        localStorage.setItem("shortcutAmount", list.length.toString());
+
+        dom.shortcutSettingsContainer.innerHTML = "";
+        loadShortcuts();
+    }
+
+    // ------------------------------ Folders ------------------------------
+    // A folder is a name in "shortcutFolders" that shortcuts point to with the
+    // "folder" field of their meta. Its shortcuts stay in the flat list, so the
+    // settings, the search and backups keep seeing every one of them.
+
+    function getShortcutFolders() {
+        try {
+            const folders = JSON.parse(localStorage.getItem("shortcutFolders"));
+            return folders && typeof folders === "object" ? folders : {};
+        } catch (error) {
+            return {};
+        }
+    }
+
+    function saveShortcutFolders(folders) {
+        localStorage.setItem("shortcutFolders", JSON.stringify(folders));
+    }
+
+    function getDefaultFolderName() {
+        return translations[currentLanguage]?.shortcutFolderName || translations["en"].shortcutFolderName;
+    }
+
+    // Remove folders with fewer than two shortcuts and the links to missing folders
+    function pruneShortcutFolders() {
+        const folders = getShortcutFolders();
+        const counts = {};
+        shortcutsCache.forEach(item => {
+            if (item.meta.folder) counts[item.meta.folder] = (counts[item.meta.folder] || 0) + 1;
+        });
+
+        shortcutsCache.forEach((item, index) => {
+            const folderId = item.meta.folder;
+            if (folderId && (!folders[folderId] || counts[folderId] < 2)) {
+                delete item.meta.folder;
+                saveShortcutMeta(index, item.meta);
+            }
+        });
+
+        Object.keys(folders).forEach(id => {
+            if (!(counts[id] >= 2)) delete folders[id];
+        });
+        saveShortcutFolders(folders);
+
+        if (openFolderId && !folders[openFolderId]) {
+            closeShortcutFolder();
+        }
+    }
+
+    // Creates the tile of a folder, showing the icons of its first shortcuts
+    function createFolderTile(folderId, name, order) {
+        const members = order.filter(item => item.meta?.folder === folderId);
+        const tile = document.createElement("div");
+        tile.className = "shortcuts shortcutFolder";
+        tile._folder = folderId;
+
+        tile.innerHTML = `
+            <a href="#" role="button" aria-haspopup="dialog">
+                <div class="shortcutLogoContainer shortcutFolderPreview">
+                    ${members.slice(0, 4).map(item => `<span>${getShortcutIconHtml(item)}</span>`).join("")}
+                </div>
+                <span class="shortcut-name">${escapeHtml(name)}</span>
+            </a>
+        `;
+
+        return tile;
+    }
+
+    // Shortcuts of a folder with their place in the flat list
+    function getFolderMembers(folderId) {
+        return shortcutsCache
+            .map((item, index) => ({ item, index }))
+            .filter(({ item }) => item.meta.folder === folderId);
+    }
+
+    function openShortcutFolder(folderId) {
+        openFolderId = folderId;
+        dom.folderName.value = getShortcutFolders()[folderId]?.name || "";
+        renderFolderPopover();
+        dom.folderPopover.style.display = "block";
+    }
+
+    function closeShortcutFolder() {
+        openFolderId = null;
+        dom.folderPopover.style.display = "none";
+        dom.folderGrid.innerHTML = "";
+    }
+
+    // Fill the grid of the open folder
+    function renderFolderPopover() {
+        const removeText = translations[currentLanguage]?.removeFromFolder || translations["en"].removeFromFolder;
+        dom.folderGrid.innerHTML = "";
+
+        getFolderMembers(openFolderId).forEach(({ item, index }) => {
+            const tile = createShortcutTile(item, index);
+
+            const removeButton = document.createElement("button");
+            removeButton.className = "shortcutFolderRemove";
+            removeButton.title = removeText;
+            removeButton.textContent = "✖";
+            removeButton.addEventListener("click", e => {
+                // The grid is drawn again, so the click must not look like one outside the folder
+                e.stopPropagation();
+                removeFromFolder(index);
+            });
+
+            tile.appendChild(removeButton);
+            dom.folderGrid.appendChild(tile);
+        });
+    }
+
+    // Put a shortcut of the home screen into a folder, creating one when dropped on another shortcut
+    function addToFolder(draggedIndex, targetTile) {
+        const list = [...shortcutsCache];
+        const [dragged] = list.splice(draggedIndex, 1);
+        const folders = getShortcutFolders();
+        let folderId = targetTile._folder;
+        let after;
+
+        if (folderId) {
+            after = list.findLast(item => item.meta.folder === folderId);
+        } else {
+            after = shortcutsCache[targetTile._index];
+            folderId = `folder-${Date.now().toString(36)}`;
+            folders[folderId] = { name: getDefaultFolderName() };
+            after.meta.folder = folderId;
+            saveShortcutFolders(folders);
+        }
+
+        // The shortcut joins the end of the folder
+        dragged.meta.folder = folderId;
+        list.splice(list.indexOf(after) + 1, 0, dragged);
+        replaceShortcuts(list);
+    }
+
+    // Move a shortcut of a folder to the place of another one in the same folder
+    function reorderInFolder(fromIndex, toIndex) {
+        const slots = getFolderMembers(openFolderId).map(({ index }) => index);
+        const members = slots.map(index => shortcutsCache[index]);
+        const [moved] = members.splice(slots.indexOf(fromIndex), 1);
+        members.splice(slots.indexOf(toIndex), 0, moved);
+
+        const list = [...shortcutsCache];
+        slots.forEach((slot, position) => list[slot] = members[position]);
+        replaceShortcuts(list);
+    }
+
+    function removeFromFolder(index) {
+        delete shortcutsCache[index].meta.folder;
+        saveShortcutMeta(index, shortcutsCache[index].meta);
+        pruneShortcutFolders();
+        renderAllShortcuts(shortcutsCache);
+    }
+
+    function renameShortcutFolder() {
+        const folders = getShortcutFolders();
+        if (!openFolderId || !folders[openFolderId]) return;
+
+        folders[openFolderId].name = dom.folderName.value.trim() || getDefaultFolderName();
+        dom.folderName.value = folders[openFolderId].name;
+        saveShortcutFolders(folders);
+        renderAllShortcuts(shortcutsCache);
+    }
+
+    // Deleting a folder keeps its shortcuts on the home screen
+    async function deleteShortcutFolder() {
+        const folders = getShortcutFolders();
+        const folderId = openFolderId;
+        if (!folderId || !folders[folderId]) return;
+
+        const confirmMessage = (translations[currentLanguage]?.deleteShortcutFolder || translations["en"].deleteShortcutFolder)
+            .replace("{title}", folders[folderId].name);
+        if (!(await confirmPrompt(confirmMessage))) return;
+
+        getFolderMembers(folderId).forEach(({ item, index }) => {
+            delete item.meta.folder;
+            saveShortcutMeta(index, item.meta);
+        });
+        delete folders[folderId];
+        saveShortcutFolders(folders);
+
+        closeShortcutFolder();
+        renderAllShortcuts(shortcutsCache);
+    }
+
+    function setupFolders() {
+        dom.folderName.placeholder = getDefaultFolderName();
+        dom.deleteFolderButton.title = translations[currentLanguage]?.deleteFolder || translations["en"].deleteFolder;
+
+        // Open a folder from its tile
+        dom.shortcutsContainer.addEventListener("click", e => {
+            const tile = e.target.closest(".shortcutFolder");
+            if (!tile) return;
+
+            e.preventDefault();
+            e.stopPropagation();
+            if (openFolderId === tile._folder) {
+                closeShortcutFolder();
+            } else {
+                openShortcutFolder(tile._folder);
+            }
+        });
+
+        // Drag a shortcut onto another shortcut or a folder to group them
+        dom.shortcutsContainer.addEventListener("dragstart", e => {
+            const tile = e.target.closest(".shortcuts");
+            draggedTileIndex = tile && !tile._folder ? tile._index : null;
+        });
+
+        dom.shortcutsContainer.addEventListener("dragover", e => {
+            const tile = e.target.closest(".shortcuts");
+            if (draggedTileIndex === null || !tile || tile._index === draggedTileIndex) return;
+
+            e.preventDefault();
+            e.dataTransfer.dropEffect = "move";
+            dom.shortcutsContainer.querySelectorAll(".folder-drop-target").forEach(el => el !== tile && el.classList.remove("folder-drop-target"));
+            tile.classList.add("folder-drop-target");
+        });
+
+        dom.shortcutsContainer.addEventListener("dragleave", e => {
+            const tile = e.target.closest(".shortcuts");
+            if (tile && !tile.contains(e.relatedTarget)) {
+                tile.classList.remove("folder-drop-target");
+            }
+        });
+
+        dom.shortcutsContainer.addEventListener("drop", e => {
+            const tile = e.target.closest(".shortcuts");
+            if (draggedTileIndex === null || !tile || tile._index === draggedTileIndex) return;
+
+            e.preventDefault();
+            addToFolder(draggedTileIndex, tile);
+            draggedTileIndex = null;
+        });
+
+        dom.shortcutsContainer.addEventListener("dragend", () => {
+            draggedTileIndex = null;
+            dom.shortcutsContainer.querySelectorAll(".folder-drop-target").forEach(el => el.classList.remove("folder-drop-target"));
+        });
+
+        // Reorder the shortcuts inside the open folder
+        let draggedFolderIndex = null;
+        dom.folderGrid.addEventListener("dragstart", e => {
+            draggedFolderIndex = e.target.closest(".shortcuts")?._index ?? null;
+        });
+        dom.folderGrid.addEventListener("dragover", e => {
+            const tile = e.target.closest(".shortcuts");
+            if (draggedFolderIndex === null || !tile) return;
+            e.preventDefault();
+            e.dataTransfer.dropEffect = "move";
+        });
+        dom.folderGrid.addEventListener("drop", e => {
+            const tile = e.target.closest(".shortcuts");
+            if (draggedFolderIndex === null || !tile) return;
+
+            e.preventDefault();
+            if (tile._index !== draggedFolderIndex) {
+                reorderInFolder(draggedFolderIndex, tile._index);
+            }
+            draggedFolderIndex = null;
+        });
+        dom.folderGrid.addEventListener("dragend", () => draggedFolderIndex = null);
+
+        // Rename on Enter or when leaving the name field
+        dom.folderName.addEventListener("change", renameShortcutFolder);
+        dom.folderName.addEventListener("keydown", e => e.key === "Enter" && e.target.blur());
+
+        dom.deleteFolderButton.addEventListener("click", deleteShortcutFolder);
+
+        // Close the folder when clicking elsewhere or pressing Escape
+        document.addEventListener("click", e => {
+            const modalContainer = document.getElementById("prompt-modal-container");
+            if (openFolderId && !dom.folderPopover.contains(e.target) && modalContainer?.style.display !== "flex") {
+                closeShortcutFolder();
+            }
+        });
+        document.addEventListener("keydown", e => {
+            if (e.key === "Escape" && openFolderId) {
+                closeShortcutFolder();
+            }
+        });
+    }
+
+    // ------------------------------ Pages ------------------------------
+    // Pages are listed in "shortcutPages", the first one being the main page, and
+    // shortcuts point to theirs with the "page" field of their meta. Shortcuts
+    // without one are on the main page, which can be renamed but not deleted.
+
+    function getShortcutPages() {
+        let pages;
+        try {
+            pages = JSON.parse(localStorage.getItem("shortcutPages"));
+        } catch (error) {
+            pages = null;
+        }
+
+        const extraPages = Array.isArray(pages)
+            ? pages.filter(page => page?.id && page.id !== MAIN_PAGE)
+            : [];
+        const mainPage = Array.isArray(pages) && pages.find(page => page?.id === MAIN_PAGE);
+        return [mainPage || { id: MAIN_PAGE, name: "" }, ...extraPages];
+    }
+
+    function saveShortcutPages(pages) {
+        localStorage.setItem("shortcutPages", JSON.stringify(pages));
+    }
+
+    function getShortcutPageOf(meta, pages = getShortcutPages()) {
+        return meta?.page && pages.some(page => page.id === meta.page) ? meta.page : MAIN_PAGE;
+    }
+
+    function getDefaultShortcutPage(pages = getShortcutPages()) {
+        const pageId = localStorage.getItem("defaultShortcutPage");
+        return pages.some(page => page.id === pageId) ? pageId : MAIN_PAGE;
+    }
+
+    // Pages without a name of their own are called "Home" and "Page 2", "Page 3"...
+    function getShortcutPageName(pages, pageId) {
+        const position = pages.findIndex(page => page.id === pageId);
+        if (pages[position]?.name) return pages[position].name;
+
+        if (pageId === MAIN_PAGE) {
+            return translations[currentLanguage]?.shortcutPageMain || translations["en"].shortcutPageMain;
+        }
+        return (translations[currentLanguage]?.shortcutPageName || translations["en"].shortcutPageName)
+            .replace("{number}", position + 1);
+    }
+
+    // Draw the dots of the home screen and the tabs of the edit page, and list
+    // only the shortcuts of the current page for editing
+    function renderShortcutPages(pages = getShortcutPages()) {
+        const defaultPage = getDefaultShortcutPage(pages);
+        const hint = translations[currentLanguage]?.shortcutPageHint || translations["en"].shortcutPageHint;
+
+        dom.pageDots.innerHTML = "";
+        dom.pageTabs.innerHTML = "";
+        pages.forEach(page => {
+            const name = getShortcutPageName(pages, page.id);
+
+            // The dots are only useful with more than one page
+            if (pages.length > 1) {
+                const dot = document.createElement("button");
+                dot.className = "shortcut-page-dot";
+                dot.classList.toggle("active", page.id === currentPageId);
+                dot._page = page.id;
+                dot.title = name;
+                dot.setAttribute("aria-label", name);
+                dom.pageDots.appendChild(dot);
+            }
+
+            const tab = document.createElement("button");
+            tab.className = "shortcut-page-tab";
+            tab.classList.toggle("active", page.id === currentPageId);
+            tab.classList.toggle("default", page.id === defaultPage);
+            tab._page = page.id;
+            tab.textContent = name;
+            tab.title = hint;
+            dom.pageTabs.appendChild(tab);
+        });
+
+        if (document.activeElement !== dom.pageName) {
+            dom.pageName.value = getShortcutPageName(pages, currentPageId);
+        }
+        dom.defaultPageButton.classList.toggle("active", currentPageId === defaultPage);
+        dom.defaultPageButton.setAttribute("aria-pressed", currentPageId === defaultPage);
+        dom.deletePageButton.classList.toggle("inactive", currentPageId === MAIN_PAGE);
+        dom.addPageButton.classList.toggle("inactive", pages.length >= MAX_PAGES);
+
+        dom.shortcutSettingsContainer.querySelectorAll(".shortcutSettingsEntry").forEach(entry => {
+            entry.hidden = getShortcutPageOf(entry._meta, pages) !== currentPageId;
+        });
+    }
+
+    function switchShortcutPage(pageId) {
+        if (pageId === currentPageId) return;
+
+        currentPageId = pageId;
+        closeShortcutFolder();
+        renderAllShortcuts(shortcutsCache);
+    }
+
+    // Go to the next or previous page, without wrapping around
+    function stepShortcutPage(step) {
+        const pages = getShortcutPages();
+        const next = pages[pages.findIndex(page => page.id === currentPageId) + step];
+        if (next) switchShortcutPage(next.id);
+    }
+
+    function addShortcutPage() {
+        const pages = getShortcutPages();
+        if (pages.length >= MAX_PAGES) return;
+
+        const page = {
+            id: `page-${Date.now().toString(36)}`,
+            name: (translations[currentLanguage]?.shortcutPageName || translations["en"].shortcutPageName)
+                .replace("{number}", pages.length + 1)
+        };
+        pages.push(page);
+        saveShortcutPages(pages);
+        switchShortcutPage(page.id);
+
+        dom.pageName.focus();
+    }
+
+    function renameShortcutPage() {
+        const pages = getShortcutPages();
+        const page = pages.find(page => page.id === currentPageId);
+
+        // An empty name brings back the default one
+        page.name = dom.pageName.value.trim();
+        if (!page.name && page.id !== MAIN_PAGE) {
+            page.name = getShortcutPageName(pages, page.id);
+        }
+        saveShortcutPages(pages);
+        renderAllShortcuts(shortcutsCache);
+    }
+
+    // Make the current page the one new tabs open on, or give that back to the main page
+    function toggleDefaultShortcutPage() {
+        if (currentPageId === getDefaultShortcutPage() || currentPageId === MAIN_PAGE) {
+            localStorage.removeItem("defaultShortcutPage");
+        } else {
+            localStorage.setItem("defaultShortcutPage", currentPageId);
+        }
+        renderShortcutPages();
+    }
+
+    // Deleting a page moves its shortcuts to the main page
+    async function deleteShortcutPage() {
+        const pages = getShortcutPages();
+        const pageId = currentPageId;
+        if (pageId === MAIN_PAGE) return;
+
+        const confirmMessage = (translations[currentLanguage]?.deleteShortcutPagePrompt || translations["en"].deleteShortcutPagePrompt)
+            .replace("{title}", getShortcutPageName(pages, pageId));
+        if (!(await confirmPrompt(confirmMessage))) return;
+
+        shortcutsCache.forEach((item, index) => {
+            if (item.meta.page === pageId) {
+                delete item.meta.page;
+                saveShortcutMeta(index, item.meta);
+            }
+        });
+        saveShortcutPages(pages.filter(page => page.id !== pageId));
+        if (localStorage.getItem("defaultShortcutPage") === pageId) {
+            localStorage.removeItem("defaultShortcutPage");
+        }
+
+        switchShortcutPage(MAIN_PAGE);
+    }
+
+    // Move shortcuts to another page, their folder only goes along when all its shortcuts do
+    function moveToShortcutPage(indices, pageId) {
+        indices.forEach(index => {
+            const meta = shortcutsCache[index].meta;
+            if (meta.folder && getFolderMembers(meta.folder).some(member => !indices.includes(member.index))) {
+                delete meta.folder;
+            }
+
+            if (pageId === MAIN_PAGE) {
+                delete meta.page;
+            } else {
+                meta.page = pageId;
+            }
+            saveShortcutMeta(index, meta);
+        });
+
+        pruneShortcutFolders();
+        renderAllShortcuts(shortcutsCache);
+    }
+
+    // Whether the row of shortcuts can still scroll sideways toward a page step,
+    // which then goes first
+    function shortcutRowScrollsToward(step) {
+        const maxScroll = dom.shortcuts.scrollWidth - dom.shortcuts.clientWidth;
+        const position = Math.abs(dom.shortcuts.scrollLeft);
+        return step > 0 ? position < maxScroll - 1 : position > 1;
+    }
+
+    function setupPages() {
+        dom.pageName.placeholder = translations[currentLanguage]?.shortcutPageMain || translations["en"].shortcutPageMain;
+        dom.defaultPageButton.title = translations[currentLanguage]?.defaultShortcutPage || translations["en"].defaultShortcutPage;
+        dom.addPageButton.title = translations[currentLanguage]?.addShortcutPage || translations["en"].addShortcutPage;
+        dom.deletePageButton.title = translations[currentLanguage]?.deleteShortcutPage || translations["en"].deleteShortcutPage;
+
+        // Switch with the dots and the tabs
+        dom.pageDots.addEventListener("click", e => {
+            const dot = e.target.closest(".shortcut-page-dot");
+            if (dot) switchShortcutPage(dot._page);
+        });
+        dom.pageTabs.addEventListener("click", e => {
+            const tab = e.target.closest(".shortcut-page-tab");
+            if (tab) switchShortcutPage(tab._page);
+        });
+
+        // Switch with the mouse wheel, unless the row of shortcuts scrolls that way
+        let wheelLocked = false;
+        dom.shortcutsContainer.addEventListener("wheel", e => {
+            const horizontal = Math.abs(e.deltaX) > Math.abs(e.deltaY);
+            const delta = horizontal ? e.deltaX : e.deltaY;
+            const step = (horizontal && isRTL ? -delta : delta) > 0 ? 1 : -1;
+            if (getShortcutPages().length < 2 || Math.abs(delta) < 4) return;
+            if (horizontal ? shortcutRowScrollsToward(step) : dom.shortcuts.scrollHeight > dom.shortcuts.clientHeight) return;
+
+            e.preventDefault();
+            if (wheelLocked) return;
+
+            // One page per flick of the wheel or the touchpad
+            wheelLocked = true;
+            setTimeout(() => wheelLocked = false, 400);
+            stepShortcutPage(step);
+        }, { passive: false });
+
+        // Switch with a sideways swipe
+        let touchStart = null;
+        dom.shortcutsContainer.addEventListener("touchstart", e => {
+            touchStart = e.touches.length === 1 ? { x: e.touches[0].clientX, y: e.touches[0].clientY } : null;
+        }, { passive: true });
+        dom.shortcutsContainer.addEventListener("touchend", e => {
+            if (!touchStart) return;
+
+            const deltaX = e.changedTouches[0].clientX - touchStart.x;
+            const deltaY = e.changedTouches[0].clientY - touchStart.y;
+            touchStart = null;
+            if (Math.abs(deltaX) < 50 || Math.abs(deltaX) < Math.abs(deltaY) * 2) return;
+
+            const step = (deltaX < 0) !== isRTL ? 1 : -1;
+            if (!shortcutRowScrollsToward(step)) {
+                stepShortcutPage(step);
+            }
+        });
+
+        // Drop a shortcut or a folder of the home screen on a dot to move it there
+        let draggedTile = null;
+        dom.shortcutsContainer.addEventListener("dragstart", e => draggedTile = e.target.closest(".shortcuts"));
+        dom.shortcutsContainer.addEventListener("dragend", () => draggedTile = null);
+        dom.pageDots.addEventListener("dragover", e => {
+            if (!draggedTile || !e.target.closest(".shortcut-page-dot")) return;
+            e.preventDefault();
+            e.dataTransfer.dropEffect = "move";
+        });
+        dom.pageDots.addEventListener("drop", e => {
+            const dot = e.target.closest(".shortcut-page-dot");
+            if (!draggedTile || !dot) return;
+
+            e.preventDefault();
+            const indices = draggedTile._folder
+                ? getFolderMembers(draggedTile._folder).map(({ index }) => index)
+                : [draggedTile._index];
+            draggedTile = null;
+            moveToShortcutPage(indices, dot._page);
+        });
+
+        // Drop a shortcut of the edit page on a tab to move it there
+        dom.pageTabs.addEventListener("dragover", e => {
+            if (!dom.shortcutSettingsContainer.querySelector(".shortcutSettingsEntry.dragging")) return;
+            if (!e.target.closest(".shortcut-page-tab")) return;
+            e.preventDefault();
+            e.dataTransfer.dropEffect = "move";
+        });
+        dom.pageTabs.addEventListener("drop", e => {
+            const entry = dom.shortcutSettingsContainer.querySelector(".shortcutSettingsEntry.dragging");
+            const tab = e.target.closest(".shortcut-page-tab");
+            if (!entry || !tab) return;
+
+            e.preventDefault();
+            if (tab._page !== getShortcutPageOf(entry._meta)) {
+                moveToShortcutPage([entry._index], tab._page);
+            }
+        });
+
+        // Rename on Enter or when leaving the name field
+        dom.pageName.addEventListener("change", renameShortcutPage);
+        dom.pageName.addEventListener("keydown", e => e.key === "Enter" && e.target.blur());
+
+        dom.defaultPageButton.addEventListener("click", toggleDefaultShortcutPage);
+        dom.addPageButton.addEventListener("click", () => {
+            if (!dom.addPageButton.classList.contains("inactive")) addShortcutPage();
+        });
+        dom.deletePageButton.addEventListener("click", () => {
+            if (!dom.deletePageButton.classList.contains("inactive")) deleteShortcutPage();
+        });
+    }
+
+    // ------------------------------ Icons ------------------------------
+    // The icon of a shortcut is the "icon" field of its meta: { type, value }, where
+    // the value is an image URL, an emoji, letters, or for uploads the id of an image
+    // kept in the "ImageDB" database as "shortcutIcon-<id>", so backups include it.
+
+    // Read the uploaded icons that are not in memory yet, then show them
+    async function loadUploadedIcons() {
+        const ids = shortcutsCache
+            .map(item => item.meta.icon)
+            .filter(icon => icon?.type === "upload" && !uploadedIconUrls.has(icon.value))
+            .map(icon => icon.value);
+        if (ids.length === 0) return;
+
+        try {
+            const db = await openDatabase();
+            for (const id of ids) {
+                const blob = await getFromStore(db, `shortcutIcon-${id}`);
+                if (blob instanceof Blob) {
+                    uploadedIconUrls.set(id, URL.createObjectURL(blob));
+                }
+            }
+        } catch (error) {
+            console.error("Failed to load shortcut icons:", error);
+            return;
+        }
+
+        dom.shortcutSettingsContainer.querySelectorAll(".shortcutSettingsEntry").forEach(updateEntryIcon);
+        renderAllShortcuts(shortcutsCache);
+    }
+
+    async function saveUploadedIcon(id, blob) {
+        const db = await openDatabase();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(storeName, "readwrite");
+            transaction.objectStore(storeName).put(blob, `shortcutIcon-${id}`);
+
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = (event) => reject("Transaction error: " + event.target.errorCode);
+        });
+    }
+
+    async function deleteUploadedIcon(icon) {
+        if (icon?.type !== "upload") return;
+
+        URL.revokeObjectURL(uploadedIconUrls.get(icon.value));
+        uploadedIconUrls.delete(icon.value);
+        try {
+            const db = await openDatabase();
+            db.transaction(storeName, "readwrite").objectStore(storeName).delete(`shortcutIcon-${icon.value}`);
+        } catch (error) {
+            console.error("Failed to delete shortcut icon:", error);
+        }
+    }
+
+    // The icon described by the picker, with a temporary URL for an image not saved yet
+    function getPickerIcon() {
+        switch (dom.iconType.value) {
+            case "upload":
+                if (pickedIconUrl) return { type: "url", value: pickedIconUrl };
+                return iconEntry._meta.icon?.type === "upload" ? iconEntry._meta.icon : null;
+            case "url":
+                return { type: "url", value: dom.iconURL.value.trim() };
+            case "emoji":
+                return { type: "emoji", value: dom.iconEmoji.value.trim() };
+            case "monogram":
+                return { type: "monogram", value: dom.iconLetters.value.trim().toUpperCase() };
+            default:
+                return null;
+        }
+    }
+
+    // Show the fields of the chosen type and how the shortcut will look
+    function updateIconPicker() {
+        const type = dom.iconType.value;
+        dom.iconFile.hidden = type !== "upload";
+        dom.iconURL.hidden = type !== "url";
+        dom.iconEmoji.hidden = type !== "emoji";
+        dom.iconLetters.hidden = type !== "monogram";
+
+        const meta = { ...iconEntry._meta, icon: getPickerIcon() };
+        const tile = createShortcutTile({
+            name: iconEntry.querySelector(".shortcutName").value,
+            url: iconEntry.querySelector(".URL").value,
+            meta
+        }, iconEntry._index);
+
+        // The preview is not a link
+        tile.querySelector("a").removeAttribute("href");
+        dom.iconPreview.classList.toggle("adaptive-icons", dom.adaptiveIconToggle.checked);
+        dom.iconPreview.replaceChildren(tile);
+    }
+
+    function openShortcutIconPicker(entry) {
+        const icon = entry._meta.icon;
+        iconEntry = entry;
+        clearPickedIconFile();
+
+        dom.iconType.value = icon?.type || "";
+        dom.iconURL.value = icon?.type === "url" ? icon.value : "";
+        dom.iconEmoji.value = icon?.type === "emoji" ? icon.value : "";
+        dom.iconLetters.value = icon?.type === "monogram" ? icon.value : "";
+        dom.iconLetters.placeholder = getMonogramLetters(entry.querySelector(".shortcutName").value);
+        updateIconPicker();
+
+        dom.iconModal.style.display = "block";
+        dom.iconOverlay.style.display = "block";
+    }
+
+    function closeShortcutIconPicker() {
+        dom.iconModal.style.display = "none";
+        dom.iconOverlay.style.display = "none";
+        dom.iconPreview.innerHTML = "";
+        clearPickedIconFile();
+        iconEntry = null;
+    }
+
+    function clearPickedIconFile() {
+        if (pickedIconUrl) URL.revokeObjectURL(pickedIconUrl);
+        pickedIconFile = null;
+        pickedIconUrl = null;
+        dom.iconFile.value = "";
+    }
+
+    async function saveShortcutIcon() {
+        const entry = iconEntry;
+        const oldIcon = entry._meta.icon;
+        let icon = getPickerIcon();
+
+        const isValid = !icon
+            ? dom.iconType.value === ""
+            : icon.type === "monogram"
+                ? [...icon.value].length <= 2
+                : icon.value && (icon.type !== "url" || icon.value === pickedIconUrl || /^https?:\/\//i.test(icon.value));
+        if (!isValid) {
+            await alertPrompt(translations[currentLanguage]?.invalidShortcutIcon || translations["en"].invalidShortcutIcon);
+            return;
+        }
+
+        // A newly picked image is kept in the database under an id of its own
+        if (pickedIconFile) {
+            icon = { type: "upload", value: Date.now().toString(36) };
+            try {
+                await saveUploadedIcon(icon.value, pickedIconFile);
+            } catch (error) {
+                console.error("Failed to save shortcut icon:", error);
+                return;
+            }
+            uploadedIconUrls.set(icon.value, URL.createObjectURL(pickedIconFile));
+        }
+
+        if (oldIcon?.value !== icon?.value) {
+            deleteUploadedIcon(oldIcon);
+        }
+        if (icon) {
+            entry._meta.icon = icon;
+        } else {
+            delete entry._meta.icon;
+        }
+
+        saveShortcut(entry);
+        updateEntryIcon(entry);
+        renderAllShortcuts(shortcutsCache);
+        closeShortcutIconPicker();
+    }
+
+    function setupIconPicker() {
+        dom.iconType.addEventListener("change", updateIconPicker);
+        [dom.iconURL, dom.iconEmoji, dom.iconLetters].forEach(input => {
+            input.addEventListener("input", updateIconPicker);
+            input.addEventListener("keydown", e => e.key === "Enter" && saveShortcutIcon());
+        });
+
+        dom.iconFile.addEventListener("change", async () => {
+            const file = dom.iconFile.files[0];
+            if (!file) return;
+
+            if (!file.type.startsWith("image/") || file.size > MAX_ICON_SIZE) {
+                clearPickedIconFile();
+                await alertPrompt(translations[currentLanguage]?.invalidShortcutIcon || translations["en"].invalidShortcutIcon);
+                return;
+            }
+
+            if (pickedIconUrl) URL.revokeObjectURL(pickedIconUrl);
+            pickedIconFile = file;
+            pickedIconUrl = URL.createObjectURL(file);
+            updateIconPicker();
+        });
+
+        dom.saveIconButton.addEventListener("click", saveShortcutIcon);
+        dom.cancelIconButton.addEventListener("click", closeShortcutIconPicker);
+        dom.closeIconButton.addEventListener("click", closeShortcutIconPicker);
+        dom.iconOverlay.addEventListener("click", closeShortcutIconPicker);
+    }
+
+    // ------------------------------ Icon packs ------------------------------
+    // Packs map domains to SVG paths that are drawn in the theme colours, see
+    // shortcut-icon-pack.js for their format. Imported ones are listed first.
+
+    function renderIconPackList() {
+        const countText = translations[currentLanguage]?.iconPackCount || translations["en"].iconPackCount;
+        dom.iconPackList.innerHTML = "";
+
+        [...getImportedIconPacks(), builtInIconPack].forEach(pack => {
+            const item = document.createElement("div");
+            item.className = "settings-modal-item";
+
+            const texts = document.createElement("div");
+            texts.className = "settings-item-texts";
+
+            const title = document.createElement("span");
+            title.className = "settings-item-title";
+            title.textContent = pack === builtInIconPack
+                ? translations[currentLanguage]?.builtInIconPack || translations["en"].builtInIconPack
+                : pack.name;
+
+            const subtitle = document.createElement("span");
+            subtitle.className = "settings-item-subtitle";
+            subtitle.textContent = countText.replace("{count}", pack.icons.length);
+
+            texts.append(title, subtitle);
+            item.appendChild(texts);
+
+            if (pack !== builtInIconPack) {
+                const deleteButton = document.createElement("button");
+                deleteButton.className = "settings-item-delete";
+                deleteButton.textContent = "✖";
+                deleteButton.addEventListener("click", () => deleteIconPack(pack));
+                item.appendChild(deleteButton);
+            }
+
+            dom.iconPackList.appendChild(item);
+        });
+    }
+
+    // Shows the icons of the changed packs on the home screen and in the settings
+    function refreshPackIcons() {
+        renderIconPackList();
+        renderAllShortcuts(shortcutsCache);
+        dom.shortcutSettingsContainer.querySelectorAll(".shortcutSettingsEntry").forEach(updateEntryIcon);
+    }
+
+    async function importIconPack() {
+        const file = dom.iconPackFile.files[0];
+        dom.iconPackFile.value = "";
+        if (!file) return;
+
+        const pack = file.size <= MAX_ICON_PACK_SIZE
+            ? parseIconPack(await file.text(), file.name.replace(/\.json$/i, ""))
+            : null;
+        if (!pack) {
+            await alertPrompt(translations[currentLanguage]?.invalidIconPack || translations["en"].invalidIconPack);
+            return;
+        }
+
+        try {
+            saveImportedIconPacks([pack, ...getImportedIconPacks()]);
+        } catch (error) {
+            // The pack doesn't fit in localStorage
+            console.error("Failed to save icon pack:", error);
+            await alertPrompt(translations[currentLanguage]?.invalidIconPack || translations["en"].invalidIconPack);
+            return;
+        }
+        refreshPackIcons();
+    }
+
+    async function deleteIconPack(pack) {
+        const confirmMessage = (translations[currentLanguage]?.deleteIconPackPrompt || translations["en"].deleteIconPackPrompt)
+            .replace("{title}", pack.name);
+        if (!await confirmPrompt(confirmMessage)) return;
+
+        saveImportedIconPacks(getImportedIconPacks().filter(p => p.id !== pack.id));
+        refreshPackIcons();
+    }
+
+    function openIconPacks() {
+        renderIconPackList();
+        dom.iconPacksModal.style.display = "block";
+        dom.iconPacksOverlay.style.display = "block";
+    }
+
+    function closeIconPacks() {
+        dom.iconPacksModal.style.display = "none";
+        dom.iconPacksOverlay.style.display = "none";
+    }
+
+    function setupIconPacks() {
+        dom.iconPacksButton.addEventListener("click", (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            openIconPacks();
+        });
+
+        dom.importIconPackButton.addEventListener("click", () => dom.iconPackFile.click());
+        dom.iconPackFile.addEventListener("change", importIconPack);
+
+        dom.cancelIconPacksButton.addEventListener("click", closeIconPacks);
+        dom.closeIconPacksButton.addEventListener("click", closeIconPacks);
+        dom.iconPacksOverlay.addEventListener("click", closeIconPacks);
+    }
+
+    // ------------------------------ Import ------------------------------
+    // Shortcuts can be picked from the most visited sites or a bookmarks folder.
+    // Both need a permission that is only asked for when that source is chosen.
+
+    // Shortcuts count as the same when their URLs only differ by a trailing slash
+    function getImportKey(url) {
+        return normalizeUrl(url).replace(/\/$/, "");
+    }
+
+    async function getTopSites() {
+        if (!(await requestBrowserPermission("topSites"))) return null;
+
+        const sites = isFirefox
+            ? await browser.topSites.get()
+            : await new Promise(resolve => chrome.topSites.get(resolve));
+        return sites.map(site => ({ name: site.title, url: site.url }));
+    }
+
+    // Bookmarks can already be allowed for the sidebar, Firefox always allows them
+    async function getBookmarksAPI() {
+        if (!bookmarksAPI && isChromiumBased && await requestBrowserPermission("bookmarks")) {
+            bookmarksAPI = chrome.bookmarks;
+        }
+        return bookmarksAPI || null;
+    }
+
+    // Every folder of the bookmarks with its path, like "Bookmarks bar / Work"
+    async function getBookmarkFolders() {
+        const [root] = await bookmarksAPI.getTree();
+        const folders = [];
+
+        (function collect(nodes, path) {
+            nodes.forEach(node => {
+                if (node.url) return;
+                const name = path ? `${path} / ${node.title}` : node.title;
+                folders.push({ id: node.id, name });
+                collect(node.children || [], name);
+            });
+        })(root.children || [], "");
+
+        return folders;
+    }
+
+    // List the websites of the source that are not shortcuts yet, checking as many as there is room for
+    function renderImportList(sites) {
+        const taken = new Set(shortcutsCache.map(item => getImportKey(item.url)));
+        const candidates = [];
+        sites.forEach(site => {
+            if (!/^https?:\/\//i.test(site.url)) return;
+
+            const key = getImportKey(site.url);
+            if (taken.has(key)) return;
+            taken.add(key);
+            candidates.push({ name: site.name || getDisplayUrl(site.url), url: site.url });
+        });
+
+        const room = MAX_SHORTCUTS - shortcutsCache.length;
+        dom.importInfo.textContent = candidates.length
+            ? (translations[currentLanguage]?.importShortcutsCount || translations["en"].importShortcutsCount)
+                .replace("{count}", candidates.length)
+                .replace("{room}", room)
+            : translations[currentLanguage]?.importNothingNew || translations["en"].importNothingNew;
+
+        dom.importList.innerHTML = "";
+        candidates.forEach((site, index) => {
+            const item = document.createElement("label");
+            item.className = "settings-modal-item";
+
+            const checkbox = document.createElement("input");
+            checkbox.type = "checkbox";
+            checkbox.checked = index < room;
+            checkbox._site = site;
+
+            const texts = document.createElement("div");
+            texts.className = "settings-item-texts";
+
+            const title = document.createElement("span");
+            title.className = "settings-item-title";
+            title.textContent = site.name;
+
+            const subtitle = document.createElement("span");
+            subtitle.className = "settings-item-subtitle";
+            subtitle.textContent = getDisplayUrl(site.url);
+
+            texts.append(title, subtitle);
+            item.append(checkbox, texts);
+            dom.importList.appendChild(item);
+        });
+
+        updateImportButton();
+    }
+
+    function updateImportButton() {
+        const checked = dom.importList.querySelectorAll("input:checked").length;
+        dom.confirmImportButton.disabled = checked === 0 || checked > MAX_SHORTCUTS - shortcutsCache.length;
+    }
+
+    async function handleImportSourceChange() {
+        dom.importFolder.hidden = true;
+        dom.importList.innerHTML = "";
+        dom.importInfo.textContent = "";
+        updateImportButton();
+
+        let allowed = true;
+        try {
+            if (dom.importSource.value === "topSites") {
+                const sites = await getTopSites();
+                allowed = Boolean(sites);
+                if (sites) renderImportList(sites);
+            } else if (dom.importSource.value === "bookmarks") {
+                allowed = Boolean(await getBookmarksAPI());
+                if (allowed) {
+                    dom.importFolder.innerHTML = "";
+                    (await getBookmarkFolders()).forEach(folder => {
+                        dom.importFolder.add(new Option(folder.name, folder.id));
+                    });
+                    dom.importFolder.hidden = false;
+                    await handleImportFolderChange();
+                }
+            }
+        } catch (error) {
+            console.error("Failed to read the websites to import:", error);
+        }
+
+        if (!allowed) {
+            dom.importSource.value = "";
+            await alertPrompt(translations[currentLanguage]?.importPermissionDenied || translations["en"].importPermissionDenied);
+        }
+    }
+
+    async function handleImportFolderChange() {
+        const children = await bookmarksAPI.getChildren(dom.importFolder.value);
+        renderImportList(children
+            .filter(node => node.url)
+            .map(node => ({ name: node.title, url: node.url })));
+    }
+
+    function openShortcutImporter() {
+        dom.importSource.value = "";
+        dom.importFolder.hidden = true;
+        dom.importInfo.textContent = "";
+        dom.importList.innerHTML = "";
+        updateImportButton();
+
+        dom.importModal.style.display = "block";
+        dom.importOverlay.style.display = "block";
+    }
+
+    function closeShortcutImporter() {
+        dom.importModal.style.display = "none";
+        dom.importOverlay.style.display = "none";
+    }
+
+    // Add the picked websites at the end, on the page being edited
+    function importShortcuts() {
+        const sites = [...dom.importList.querySelectorAll("input:checked")].map(checkbox => checkbox._site);
+        if (sites.length === 0 || shortcutsCache.length + sites.length > MAX_SHORTCUTS) return;
+
+        const list = [...shortcutsCache, ...sites.map(site => ({
+            name: site.name,
+            url: site.url,
+            meta: currentPageId === MAIN_PAGE ? {} : { page: currentPageId }
+        }))];
+        replaceShortcuts(list);
+        closeShortcutImporter();
+    }
+
+    function setupImporter() {
+        dom.importButton.title = translations[currentLanguage]?.importShortcutsText || translations["en"].importShortcutsText;
+        dom.importButton.addEventListener("click", openShortcutImporter);
+
+        dom.importSource.addEventListener("change", handleImportSourceChange);
+        dom.importFolder.addEventListener("change", handleImportFolderChange);
+        dom.importList.addEventListener("change", updateImportButton);
+
+        dom.confirmImportButton.addEventListener("click", importShortcuts);
+        dom.cancelImportButton.addEventListener("click", closeShortcutImporter);
+        dom.closeImportButton.addEventListener("click", closeShortcutImporter);
+        dom.importOverlay.addEventListener("click", closeShortcutImporter);
+    }
+
+    // ------------------------------ Opening ------------------------------
+    // A shortcut opens in this tab unless the "open" field of its meta says "tab",
+    // "background" or "private". The "urls" field turns it into a launch set that
+    // opens these URLs too, in background tabs next to the first one.
+
+    // Follow clicks on the shortcuts of the home screen and of folders
+    function handleShortcutClick(e) {
+        if (e.type === "auxclick" && e.button !== 1) return;
+
+        const tile = e.target.closest(".shortcuts");
+        if (!tile || tile._folder || !e.target.closest("a")) return;
+
+        const item = shortcutsCache[tile._index];
+        const urls = getShortcutUrls(item);
+        const mode = getShortcutOpenMode(item, e);
+        recordShortcutUse(item);
+
+        // Links to a single page are left to the browser, which opens them the same way
+        const isModified = e.button === 1 || e.ctrlKey || e.metaKey;
+        if (urls.length === 1 && (mode === "current" || (isModified && mode !== "private"))) return;
+
+        e.preventDefault();
+        openShortcutUrls(urls, mode);
+    }
+
+    function openShortcutOptions(entry) {
+        optionsEntry = entry;
+        dom.openMode.value = entry._meta.open || "current";
+        dom.launchUrls.value = (entry._meta.urls || []).join("\n");
+        dom.usageInfo.textContent = getShortcutUsageText(entry._meta);
+
+        dom.optionsModal.style.display = "block";
+        dom.optionsOverlay.style.display = "block";
+    }
+
+    // How often and when a shortcut was last opened from the home screen
+    function getShortcutUsageText(meta) {
+        if (!meta.clicks) {
+            return translations[currentLanguage]?.shortcutNeverUsed || translations["en"].shortcutNeverUsed;
+        }
+
+        const date = new Date(meta.used).toLocaleDateString(currentLanguage.replace("_", "-"), { dateStyle: "medium" });
+        return (translations[currentLanguage]?.shortcutUsage || translations["en"].shortcutUsage)
+            .replace("{count}", meta.clicks)
+            .replace("{date}", date);
+    }
+
+    function closeShortcutOptions() {
+        dom.optionsModal.style.display = "none";
+        dom.optionsOverlay.style.display = "none";
+        optionsEntry = null;
+    }
+
+    async function saveShortcutOptions() {
+        const entry = optionsEntry;
+        const urls = dom.launchUrls.value.split("\n").map(url => url.trim()).filter(Boolean);
+
+        const isValid = urls.length <= MAX_LAUNCH_URLS && urls.every(url => {
+            try {
+                return Boolean(new URL(normalizeUrl(url)).hostname);
+            } catch (error) {
+                return false;
+            }
+        });
+        if (!isValid) {
+            await alertPrompt(translations[currentLanguage]?.invalidLaunchUrls || translations["en"].invalidLaunchUrls);
+            return;
+        }
+
+        if (dom.openMode.value === "current") {
+            delete entry._meta.open;
+        } else {
+            entry._meta.open = dom.openMode.value;
+        }
+        if (urls.length > 0) {
+            entry._meta.urls = urls;
+        } else {
+            delete entry._meta.urls;
+        }
+
+        saveShortcut(entry);
+        renderAllShortcuts(shortcutsCache);
+        closeShortcutOptions();
+    }
+
+    // Save the shortcut being edited to the browser bookmarks, as it is typed
+    function bookmarkShortcut() {
+        const name = optionsEntry.querySelector(".shortcutName").value;
+        const url = normalizeUrl(optionsEntry.querySelector(".URL").value);
+        bookmarkPage(name, url);
+    }
+
+    function setupOpenBehaviour() {
+        [dom.shortcutsContainer, dom.folderGrid].forEach(container => {
+            container.addEventListener("click", handleShortcutClick);
+            container.addEventListener("auxclick", handleShortcutClick);
+        });
+
+        dom.saveOptionsButton.addEventListener("click", saveShortcutOptions);
+        dom.bookmarkShortcutButton.addEventListener("click", bookmarkShortcut);
+        dom.cancelOptionsButton.addEventListener("click", closeShortcutOptions);
+        dom.closeOptionsButton.addEventListener("click", closeShortcutOptions);
+        dom.optionsOverlay.addEventListener("click", closeShortcutOptions);
     }
 });
@@ -0,0 +1,226 @@
+/*
+ * Material You NewTab
+ * Copyright (c) 2023-2025 XengShi
+ * Licensed under the GNU General Public License v3.0 (GPL-3.0)
+ * You should have received a copy of the GNU General Public License along with this program.
+ * If not, see <https://www.gnu.org/licenses/>.
+ */
+
+// ------------------------- Search Suggestion Providers ----------------------
+/**
+ * A provider tells getAutocompleteSuggestions where and how to get suggestions:
+ * @typedef {Object} SuggestionProvider
+ * @property {string} id - Unique name of the provider.
+ * @property {(query: string) => string} endpoint - Builds the request URL for a query.
+ * @property {(data: any) => Array<string | SuggestionEntry>} parse - Turns the JSON response into suggestions.
+ * Parsers are pure functions, so they can be fed canned responses.
+ * @property {number} [debounce] - Pause in typing, in ms, to wait for before sending a request.
+ * @property {string} [permission] - Host permission the request needs, if any.
+ * @property {boolean} [proxy] - Whether the request may go through the CORS bypass proxy. Defaults to true.
+ * @property {string[] | (() => string[])} [hosts] - Websites whose searches this provider suggests for,
+ * used for custom engines and bangs pointing to them. A function when they depend on settings.
+ */
+/**
+ * A suggestion with more than its text, shown as a rich row in the result box:
+ * @typedef {Object} SuggestionEntry
+ * @property {string} text - The text put in the searchbar when the row is selected.
+ * @property {string} [title] - Shown instead of the text, like the name of an entity.
+ * @property {string} [description] - Second line of the row.
+ * @property {string} [url] - Page opened when the row is clicked, instead of searching for the text.
+ * @property {string} [image] - Thumbnail of the row.
+ */
+const suggestionProviders = {};
+
+function registerSuggestionProvider(provider) {
+    suggestionProviders[provider.id] = { proxy: true, debounce: 150, hosts: [], ...provider };
+}
+
+// Check for different browsers and return the corresponding client parameter
+function getClientParam() {
+    if (isFirefox) return "firefox";
+    if (isOpera) return "opera";
+    if (isChromiumBased) return "chrome";
+    if (isSafari) return "safari";
+    return "firefox"; // Default to Firefox if the browser is not recognized
+}
+
+// OpenSearch responses look like [query, [suggestions...], ...]
+function parseOpenSearchSuggestions(data) {
+    return Array.isArray(data?.[1]) ? data[1].map(String) : [];
+}
+
+// Decode the HTML entities some APIs use in titles
+function decodeHtmlEntities(text) {
+    const textarea = document.createElement("textarea");
+    textarea.innerHTML = text;
+    return textarea.value;
+}
+
+registerSuggestionProvider({
+    id: "google",
+    endpoint: query => `https://www.google.com/complete/search?client=${getClientParam()}&q=${encodeURIComponent(query)}`,
+    parse: parseOpenSearchSuggestions,
+    permission: "https://www.google.com/complete/search?client=*",
+    hosts: ["google.com", "www.google.com"]
+});
+
+registerSuggestionProvider({
+    id: "duckduckgo",
+    endpoint: query => `https://duckduckgo.com/ac/?q=${encodeURIComponent(query)}&type=list`,
+    parse: parseOpenSearchSuggestions,
+    permission: "https://duckduckgo.com/ac/?q=*",
+    hosts: ["duckduckgo.com"]
+});
+
+registerSuggestionProvider({
+    id: "brave",
+    endpoint: query => `https://search.brave.com/api/suggest?q=${encodeURIComponent(query)}&rich=true&source=web`,
+    parse: data => (data?.[1] || []).map(item => {
+        if (item.is_entity) {
+            return {
+                text: item.q,
+                title: item.name || item.q,
+                description: item.desc || item.category || "",
+                image: item.img
+            };
+        } else {
+            return item.q;
+        }
+    }),
+    permission: "https://search.brave.com/api/suggest?q=*",
+    hosts: ["search.brave.com"]
+});
+
+registerSuggestionProvider({
+    id: "youtube",
+    endpoint: query => `https://www.google.com/complete/search?client=${getClientParam()}&ds=yt&q=${encodeURIComponent(query)}`,
+    parse: parseOpenSearchSuggestions,
+    permission: "https://www.google.com/complete/search?client=*",
+    hosts: ["youtube.com", "www.youtube.com", "m.youtube.com"]
+});
+
+registerSuggestionProvider({
+    id: "reddit",
+    endpoint: query => `https://www.reddit.com/search.json?q=${encodeURIComponent(query)}&sort=relevance&limit=15`,
+    parse: data => (data?.data?.children || [])
+        .filter(post => post.data && post.data.title)
+        .map(post => `${post.data.title} (${post.data.subreddit_name_prefixed})`),
+    // Reddit rate-limits quick successive calls
+    debounce: 600,
+    proxy: false,
+    hosts: ["reddit.com", "www.reddit.com"]
+});
+
+registerSuggestionProvider({
+    id: "wikipedia",
+    endpoint: query => `https://${languageCode}.wikipedia.org/w/api.php?action=opensearch&search=${encodeURIComponent(query)}&format=json`,
+    // Opensearch also returns the descriptions and links of the articles
+    parse: data => parseOpenSearchSuggestions(data).map((title, index) => {
+        const url = data[3]?.[index];
+        if (!url) return title;
+        return { text: title, description: data[2]?.[index] || getDisplayUrl(url), url };
+    }),
+    permission: "https://*.wikipedia.org/w/api.php?action=opensearch&search=*",
+    hosts: () => [`${languageCode}.wikipedia.org`, "wikipedia.org", "www.wikipedia.org"]
+});
+
+registerSuggestionProvider({
+    id: "github",
+    endpoint: query => `https://api.github.com/search/repositories?q=${encodeURIComponent(query)}&per_page=10`,
+    parse: data => (data?.items || []).map(repo => repo.full_name),
+    // The unauthenticated search API allows about 10 requests per minute
+    debounce: 800,
+    hosts: ["github.com"]
+});
+
+registerSuggestionProvider({
+    id: "npm",
+    endpoint: query => `https://registry.npmjs.org/-/v1/search?text=${encodeURIComponent(query)}&size=10`,
+    parse: data => (data?.objects || []).map(result => result.package.name),
+    hosts: ["npmjs.com", "www.npmjs.com"]
+});
+
+registerSuggestionProvider({
+    id: "mdn",
+    endpoint: query => `https://developer.mozilla.org/api/v1/search?q=${encodeURIComponent(query)}&size=10`,
+    parse: data => (data?.documents || []).map(doc => doc.title),
+    permission: "https://developer.mozilla.org/api/v1/search?q=*",
+    hosts: ["developer.mozilla.org"]
+});
+
+registerSuggestionProvider({
+    id: "stackoverflow",
+    endpoint: query => `https://api.stackexchange.com/2.3/search/advanced?order=desc&sort=relevance&pagesize=10&site=stackoverflow&q=${encodeURIComponent(query)}`,
+    parse: data => (data?.items || []).map(question => decodeHtmlEntities(question.title)),
+    debounce: 400,
+    hosts: ["stackoverflow.com"]
+});
+
+// Providers of the built-in engines, the rest use Google
+const engineSuggestionProviders = {
+    engine0: "duckduckgo",
+    engine1: "google",
+    engine2: "duckduckgo",
+    engine4: "brave",
+    engine5: "youtube",
+    engine7: "reddit",
+    engine8: "wikipedia"
+};
+
+// Provider for the OpenSearch-style suggestion URL of a custom engine
+function createCustomSuggestionProvider(engine) {
+    let permission;
+    try {
+        permission = `${new URL(engine.suggestUrl.replaceAll("%s", "")).origin}/*`;
+    } catch (error) {
+        permission = undefined;
+    }
+
+    return {
+        id: engine.id,
+        endpoint: query => buildCustomEngineURL(engine.suggestUrl, query),
+        parse: data => Array.isArray(data) && data.every(item => typeof item === "string")
+            ? data
+            : parseOpenSearchSuggestions(data),
+        permission,
+        proxy: true,
+        debounce: 150,
+        hosts: []
+    };
+}
+
+function getSuggestionProviderHosts(provider) {
+    return typeof provider.hosts === "function" ? provider.hosts() : provider.hosts;
+}
+
+/**
+ * Find the provider that suggests for an engine.
+ * @param {string} engineValue - The value of a built-in or custom engine radio, or the id of a group.
+ * @param {string} [searchURL] - The search URL of a bang, matched against the provider hosts.
+ * @returns {SuggestionProvider}
+ */
+function getSuggestionProvider(engineValue, searchURL = "") {
+    // Groups get the suggestions of their first engine
+    const group = getSearchEngineGroup(engineValue);
+    if (group) {
+        engineValue = group.engines[0];
+    }
+
+    const customEngine = getCustomSearchEngine(engineValue);
+    if (customEngine?.suggestUrl) {
+        return createCustomSuggestionProvider(customEngine);
+    }
+
+    const url = searchURL || customEngine?.url;
+    if (url) {
+        try {
+            const hostname = new URL(url.replaceAll("%s", "")).hostname;
+            const provider = Object.values(suggestionProviders).find(p => getSuggestionProviderHosts(p).includes(hostname));
+            if (provider) return provider;
+        } catch (error) {
+            // Fall back to the default provider below
+        }
+    }
+
+    return suggestionProviders[engineSuggestionProviders[engineValue]] || suggestionProviders.google;
+}